@@ -0,0 +1,21 @@
+// communities.config.js
+// Community discovery of `npm run discover-communities` (see lib/communities.js) and the
+// tests tests/communities.test.js generates for every community found.
+//
+//   listingPage     page listing the communities; links to `<listingPage><slug>/` are communities
+//   subPages        sub-pages tested when a community has them (`<listingPage><slug>/<subPage>`)
+//   forms           entries of forms.config.js found on every community page; they are tested
+//                   on each community instead of their configured page
+//   exclude         community slugs never tested
+//   maxCommunities  cap on the communities tested (0: all); COMMUNITIES_MAX overrides
+module.exports = {
+  listingPage: '/communities/',
+
+  subPages: ['site-map/', 'floor-plans/', 'amenities/', 'contact/'],
+
+  forms: ['interest-list', 'tour-request'],
+
+  exclude: [],
+
+  maxCommunities: 0
+};
@@ -0,0 +1,24 @@
+// components.config.js
+// Page parts compared on their own, next to the full-page screenshots.
+//
+//   selector  CSS selector(s); the first visible match is captured
+//   pages     optional page paths or patterns the component belongs to (default: every page)
+module.exports = {
+  'site-header': {
+    selector: 'header.site-header, #masthead, body > header'
+  },
+  'main-nav': {
+    selector: 'nav.main-navigation, #site-navigation, header nav'
+  },
+  'footer': {
+    selector: 'footer.site-footer, #colophon, body > footer'
+  },
+  'community-hero': {
+    selector: '.community-hero, .hero, .page-hero',
+    pages: ['/communities/*/']
+  },
+  'floor-plan-grid': {
+    selector: '.floor-plans, .floorplan-grid, .floor-plan-grid',
+    pages: ['/communities/*/', '/communities/*/floor-plans/']
+  }
+};
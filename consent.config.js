@@ -0,0 +1,48 @@
+// consent.config.js
+// Cookie consent (CookieYes) checks of tests/consent.test.js, run on both environments.
+//
+//   pages       pages loaded fresh to check the banner; the consent choices are made on the
+//               first one and must persist on the others
+//   selectors   CookieYes banner, buttons and category toggles of its preference centre
+//   cookie      name of the cookie CookieYes stores the choice in
+//   customize   categories accepted when customizing; all others are rejected
+//   trackers    requests and cookies that need consent, by CookieYes category: strings are
+//               matched against request URLs, regular expressions against cookie names.
+//               Nothing of a category may load before it was accepted.
+module.exports = {
+  pages: ['/', '/communities/', '/communities/eagle/'],
+
+  selectors: {
+    banner: '.cky-consent-container',
+    acceptAll: '.cky-btn-accept',
+    rejectAll: '.cky-btn-reject',
+    customize: '.cky-btn-customize',
+    savePreferences: '.cky-btn-preferences',
+    // {category} is replaced by the category name
+    categoryToggle: '#ckySwitch{category}'
+  },
+
+  cookie: 'cookieyes-consent',
+
+  customize: ['analytics'],
+
+  trackers: {
+    analytics: [
+      'google-analytics.com',
+      'analytics.google.com',
+      'googletagmanager.com/gtag/js',
+      'static.hotjar.com',
+      /^_ga/,
+      /^_gid$/,
+      /^_hj/
+    ],
+    advertisement: [
+      'doubleclick.net',
+      'googleadservices.com',
+      'connect.facebook.net',
+      'facebook.com/tr',
+      /^_fbp$/,
+      /^_gcl_/
+    ]
+  }
+};
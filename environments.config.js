@@ -0,0 +1,34 @@
+// environments.config.js
+// Sites the tests can compare. Pick a pair with REFERENCE_ENV / CANDIDATE_ENV:
+//
+//   REFERENCE_ENV=live CANDIDATE_ENV=test npx playwright test   (before a deploy to live)
+//   REFERENCE_ENV=test CANDIDATE_ENV=dev npx playwright test
+//   CANDIDATE_ENV=multidev:feature-x npx playwright test         (Pantheon multidev branch)
+module.exports = {
+  // Pantheon site machine name, used to build multidev URLs
+  pantheonSite: 'revelcomm',
+
+  environments: {
+    live: {
+      label: 'Live',
+      baseUrl: 'https://revelcommunities.com',
+      role: 'production'
+    },
+    test: {
+      label: 'Test',
+      baseUrl: 'https://test-revelcomm.pantheonsite.io',
+      role: 'staging'
+    },
+    dev: {
+      label: 'Dev',
+      baseUrl: 'https://dev-revelcomm.pantheonsite.io',
+      role: 'development'
+    }
+  },
+
+  // Pair compared when REFERENCE_ENV / CANDIDATE_ENV are not set
+  defaultPair: {
+    reference: 'live',
+    candidate: 'dev'
+  }
+};
@@ -0,0 +1,30 @@
+// forms.config.js
+// Forms tested by tests/forms.test.js on both environments.
+//
+//   page         page path the form is on
+//   selector     CSS selector of the form; the first visible match is tested
+//   successText  text (or RegExp) shown once the form was sent; it only counts when it
+//                appears after submitting
+//   response     optional reply sent back for the intercepted submission instead of the
+//                default 200 JSON { success: true }: { status, contentType, body }
+//
+// Submissions never reach the server, so no lead is created.
+module.exports = {
+  contact: {
+    page: '/contact/',
+    selector: 'main form.wpcf7-form, main .gform_wrapper form, main form:has(textarea)',
+    successText: /thank you|has been sent/i
+  },
+
+  'interest-list': {
+    page: '/communities/eagle/',
+    selector: 'form:has(input[type="email"]):not(:has(input[type="date"])):not([role="search"])',
+    successText: /thank you|you're on the list|added/i
+  },
+
+  'tour-request': {
+    page: '/communities/eagle/',
+    selector: 'form:has(input[type="date"]), form:has([name*="tour" i])',
+    successText: /thank you|see you (then|soon)/i
+  }
+};
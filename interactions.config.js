@@ -0,0 +1,49 @@
+// interactions.config.js
+// Interaction states captured on top of the untouched pages (see lib/interactions.js).
+//
+// Each scenario runs its steps after the page is ready and before it is captured, in both
+// environments, and is compared like a normal page capture.
+//
+//   pages      page paths or patterns the scenario runs on (`*` within one path segment,
+//              `**` across segments); only pages of the suite are used
+//   viewports  viewport names the scenario runs at, all of the suite when left out
+//   steps      one action per step, run in order:
+//                { click: selector }  { hover: selector }  { focus: selector }
+//                { press: 'Escape' }  { waitFor: selector }  { wait: ms }
+//              Selector steps use the first visible match and fail when there is none.
+module.exports = {
+  'mobile-nav': {
+    pages: ['/', '/communities/*/'],
+    viewports: ['mobile', 'tablet'],
+    steps: [
+      { click: '.menu-toggle, button[aria-controls*="menu"], .hamburger' },
+      { wait: 500 }
+    ]
+  },
+
+  'menu-hover': {
+    pages: ['/'],
+    viewports: ['desktop'],
+    steps: [
+      { hover: 'nav .menu-item-has-children > a' },
+      { wait: 300 }
+    ]
+  },
+
+  'gallery-lightbox': {
+    pages: ['/communities/*/'],
+    steps: [
+      { click: '.wp-block-gallery a, .gallery a, [data-lightbox], a[href$=".jpg"]:has(img)' },
+      { waitFor: '.pswp--open, .fancybox__container, .lightbox, .mfp-ready, [role="dialog"]' },
+      { wait: 500 }
+    ]
+  },
+
+  'form-focus': {
+    pages: ['/contact/', '/communities/*/'],
+    viewports: ['desktop'],
+    steps: [
+      { focus: 'main form input[type="email"]' }
+    ]
+  }
+};
@@ -0,0 +1,20 @@
+// issues.config.js
+// Console messages, uncaught errors and failed requests recorded while pages are captured.
+//
+//   failOnNew  issue kinds that fail the capture test when they only occur on the candidate
+//              environment (ISSUES_FAIL_ON overrides, comma-separated). Empty: report only.
+//              Kinds: console-error, console-warning, page-error, failed-request, http-error,
+//              mixed-content
+//   ignore     issues whose message or URL contains one of these strings or matches one of
+//              these regular expressions are left out
+module.exports = {
+  failOnNew: [],
+
+  ignore: [
+    'google-analytics.com',
+    'googletagmanager.com',
+    'doubleclick.net',
+    'facebook.net',
+    /favicon\.ico$/
+  ]
+};
@@ -0,0 +1,21 @@
+// layout.config.js
+// Responsive layout checks run on every captured page (see lib/layout.js).
+//
+//   touchViewports   viewports checked for touch use: tap target size and upscaled images
+//   minTapTarget     smallest width and height of a tap target, in CSS pixels
+//   maxImageUpscale  how far an image may be shown past its natural width (1.1 = 10%)
+//   ignore           selectors of elements never reported (carousels that overflow on
+//                    purpose, off-canvas menus...)
+module.exports = {
+  touchViewports: ['tablet', 'mobile'],
+
+  minTapTarget: 44,
+
+  maxImageUpscale: 1.1,
+
+  ignore: [
+    '.cky-consent-container',
+    '.slick-track',
+    '.swiper-wrapper'
+  ]
+};
@@ -0,0 +1,131 @@
+// @ts-check
+const path = require('path');
+const { saveScreenshot } = require('./results');
+
+// axe-core is vendored (vendor/axe-core, pinned) and loaded from there into the page, so scans
+// need no network access
+const AXE_SCRIPT = path.join(__dirname, '..', 'vendor', 'axe-core', 'axe.min.js');
+
+// Rule sets checked: WCAG 2.0 / 2.1 A and AA plus axe best practices (heading order, landmarks)
+const AXE_TAGS = ['wcag2a', 'wcag2aa', 'wcag21a', 'wcag21aa', 'best-practice'];
+
+// Violating elements screenshotted per page, and entries kept per list in result files
+const MAX_ELEMENT_SCREENSHOTS = 30;
+const MAX_VIOLATIONS = 100;
+
+const IMPACT_ORDER = ['critical', 'serious', 'moderate', 'minor'];
+
+// Run axe on the loaded page. Returns one entry per violating element, with a screenshot of
+// the element when it is visible.
+async function scanPage(page) {
+  await page.addScriptTag({ path: AXE_SCRIPT });
+  const violations = await page.evaluate(async tags => {
+    const axe = /** @type {any} */ (window).axe;
+    const results = await axe.run(document, {
+      runOnly: { type: 'tag', values: tags },
+      resultTypes: ['violations']
+    });
+    return results.violations.flatMap(violation => violation.nodes.map(node => ({
+      ruleId: violation.id,
+      impact: node.impact || violation.impact,
+      help: violation.help,
+      helpUrl: violation.helpUrl,
+      target: node.target.map(String),
+      html: node.html.slice(0, 300),
+      failureSummary: node.failureSummary
+    })));
+  }, AXE_TAGS);
+
+  let screenshots = 0;
+  for (const violation of violations) {
+    // Elements inside iframes or shadow roots have nested targets; only plain ones are captured
+    if (screenshots >= MAX_ELEMENT_SCREENSHOTS || violation.target.length !== 1) continue;
+    try {
+      const locator = page.locator(violation.target[0]).first();
+      if (await locator.isVisible()) {
+        violation.screenshot = await locator.screenshot({ animations: 'disabled', timeout: 2000 });
+        screenshots++;
+      }
+    } catch (error) {
+      // Element moved or is not rendered (e.g. zero size); listed without a screenshot
+    }
+  }
+
+  return violations;
+}
+
+const violationKey = violation => `${violation.ruleId}|${violation.target.join(' ')}`;
+
+const byImpact = (a, b) => IMPACT_ORDER.indexOf(a.impact) - IMPACT_ORDER.indexOf(b.impact) ||
+  a.ruleId.localeCompare(b.ruleId);
+
+// Violating elements per rule
+function countByRule(violations) {
+  const counts = {};
+  violations.forEach(violation => { counts[violation.ruleId] = (counts[violation.ruleId] || 0) + 1; });
+  return counts;
+}
+
+// Diff the violations of both environments by rule and element. Screenshots of the elements
+// with new violations are saved as `<name>-a11y-<n>.png`.
+async function compareAccessibility(production, development, { name }) {
+  if (production.error || development.error) {
+    return { error: production.error || development.error };
+  }
+
+  const productionKeys = new Set(production.violations.map(violationKey));
+  const developmentKeys = new Set(development.violations.map(violationKey));
+  const added = development.violations.filter(violation => !productionKeys.has(violationKey(violation))).sort(byImpact);
+  const fixed = production.violations.filter(violation => !developmentKeys.has(violationKey(violation))).sort(byImpact);
+
+  const newViolations = [];
+  for (const [index, { screenshot, ...violation }] of added.slice(0, MAX_VIOLATIONS).entries()) {
+    newViolations.push({
+      ...violation,
+      screenshotPath: screenshot ? await saveScreenshot(`${name}-a11y-${index + 1}.png`, screenshot) : null
+    });
+  }
+
+  return {
+    identical: !added.length && !fixed.length,
+    productionCount: production.violations.length,
+    developmentCount: development.violations.length,
+    productionRules: countByRule(production.violations),
+    developmentRules: countByRule(development.violations),
+    newCount: added.length,
+    fixedCount: fixed.length,
+    newViolations,
+    fixedViolations: fixed.slice(0, MAX_VIOLATIONS).map(({ screenshot, ...violation }) => violation)
+  };
+}
+
+// One-line description for logs and assertion messages
+function describeViolation(violation) {
+  return `${violation.impact} ${violation.ruleId}: ${violation.target.join(' ')}`;
+}
+
+// Collector for captureComparison(): scans each environment with axe and diffs the violations.
+// A page axe cannot run on (e.g. its Content-Security-Policy blocks the script) is reported
+// as an error instead of failing the capture.
+function accessibilityCollector() {
+  return {
+    key: 'accessibility',
+    collect: async page => {
+      try {
+        return { violations: await scanPage(page) };
+      } catch (error) {
+        console.log(`⚠️  Accessibility scan failed: ${error.message}`);
+        return { error: error.message, violations: [] };
+      }
+    },
+    compare: compareAccessibility
+  };
+}
+
+module.exports = {
+  AXE_TAGS,
+  scanPage,
+  compareAccessibility,
+  describeViolation,
+  accessibilityCollector
+};
@@ -0,0 +1,177 @@
+// @ts-check
+const crypto = require('crypto');
+const { isEnvironmentHost } = require('./links');
+
+// Resource types in report order
+const ASSET_TYPES = ['document', 'stylesheet', 'script', 'font', 'image', 'media', 'fetch', 'xhr', 'other'];
+
+// An asset grew when it is this much larger, relatively and absolutely
+const GROWTH_RATIO = 0.1;
+const GROWTH_BYTES = 1024;
+
+// Assets kept per list in the result files and reports
+const MAX_ASSETS = 200;
+
+// Response headers recorded per asset
+const CACHE_HEADERS = ['cache-control', 'expires', 'etag', 'last-modified', 'age'];
+
+// Asset URL comparable across environments: path only on the page's own host and the other
+// environments' hosts, host and path elsewhere; WordPress' cache-busting `ver` parameter dropped
+function normalizeAssetUrl(url, pageHost) {
+  const parsed = new URL(url);
+  parsed.searchParams.delete('ver');
+  const search = parsed.searchParams.toString();
+  const pathAndQuery = `${parsed.pathname}${search ? `?${search}` : ''}`;
+  return parsed.host === pageHost || isEnvironmentHost(parsed.host) ? pathAndQuery : `${parsed.host}${pathAndQuery}`;
+}
+
+// Record every request of a page until stop() returns the inventory:
+//   [{ type, url, status, size, hash, cache: { cache-control, etag... } }]
+function watchAssets(page) {
+  const pending = [];
+
+  const record = async (request, failure) => {
+    const response = failure ? null : await request.response();
+    let size = null;
+    let hash = null;
+    if (response) {
+      const sizes = await request.sizes().catch(() => null);
+      size = sizes ? sizes.responseBodySize : null;
+      // Redirects and some cached responses have no body
+      const body = await response.body().catch(() => null);
+      hash = body ? crypto.createHash('sha1').update(body).digest('hex').slice(0, 12) : null;
+    }
+    const headers = response ? response.headers() : {};
+    return {
+      type: request.resourceType(),
+      url: request.url(),
+      status: response ? response.status() : null,
+      failure: failure || null,
+      size,
+      hash,
+      cache: Object.fromEntries(CACHE_HEADERS.filter(name => headers[name]).map(name => [name, headers[name]]))
+    };
+  };
+
+  const onFinished = request => {
+    if (!request.url().startsWith('data:')) pending.push(record(request, null).catch(() => null));
+  };
+  const onFailed = request => {
+    const failure = request.failure();
+    if (!request.url().startsWith('data:')) pending.push(record(request, failure ? failure.errorText : 'failed').catch(() => null));
+  };
+  page.on('requestfinished', onFinished);
+  page.on('requestfailed', onFailed);
+
+  return {
+    async stop() {
+      page.off('requestfinished', onFinished);
+      page.off('requestfailed', onFailed);
+      const pageHost = new URL(page.url()).host;
+      const assets = (await Promise.all(pending)).filter(Boolean);
+      return assets.map(asset => ({ ...asset, url: normalizeAssetUrl(asset.url, pageHost) }));
+    }
+  };
+}
+
+const assetKey = asset => `${asset.type}|${asset.url}`;
+
+// One entry per asset; repeated requests of the same asset are counted
+function byKey(assets) {
+  const map = new Map();
+  for (const asset of assets) {
+    const known = map.get(assetKey(asset));
+    if (known) known.requests++;
+    else map.set(assetKey(asset), { ...asset, requests: 1 });
+  }
+  return map;
+}
+
+function totals(assets) {
+  const result = { requests: assets.length, bytes: 0, byType: {} };
+  for (const asset of assets) {
+    result.bytes += asset.size || 0;
+    const type = result.byType[asset.type] || (result.byType[asset.type] = { requests: 0, bytes: 0 });
+    type.requests++;
+    type.bytes += asset.size || 0;
+  }
+  return result;
+}
+
+const byTypeAndUrl = (a, b) => ASSET_TYPES.indexOf(a.type) - ASSET_TYPES.indexOf(b.type) || a.url.localeCompare(b.url);
+
+// Diff the inventories of both environments: assets only one of them loaded, assets that grew,
+// changed content (hash) or changed status or cache headers
+function compareAssets(production, development) {
+  const productionAssets = byKey(production);
+  const developmentAssets = byKey(development);
+
+  const added = [...developmentAssets.values()].filter(asset => !productionAssets.has(assetKey(asset))).sort(byTypeAndUrl);
+  const removed = [...productionAssets.values()].filter(asset => !developmentAssets.has(assetKey(asset))).sort(byTypeAndUrl);
+
+  const grew = [];
+  const changedHash = [];
+  const changedStatus = [];
+  const changedCache = [];
+  for (const [key, asset] of developmentAssets) {
+    const reference = productionAssets.get(key);
+    if (!reference) continue;
+    const pair = { type: asset.type, url: asset.url, production: reference, development: asset };
+
+    if (reference.size !== null && asset.size !== null &&
+        asset.size - reference.size > Math.max(GROWTH_BYTES, reference.size * GROWTH_RATIO)) {
+      grew.push({ ...pair, growth: asset.size - reference.size });
+    }
+    if (reference.hash && asset.hash && reference.hash !== asset.hash) changedHash.push(pair);
+    if (reference.status !== asset.status) changedStatus.push(pair);
+    if (reference.cache['cache-control'] !== asset.cache['cache-control']) changedCache.push(pair);
+  }
+
+  // Only the fields the report shows, to keep the result files small
+  const slim = ({ type, url, status, size, hash, requests }) => ({ type, url, status, size, hash, requests });
+  const slimPair = ({ production: a, development: b, ...pair }) => ({
+    ...pair,
+    production: { ...slim(a), cacheControl: a.cache['cache-control'] || null },
+    development: { ...slim(b), cacheControl: b.cache['cache-control'] || null }
+  });
+
+  return {
+    identical: !added.length && !removed.length && !grew.length && !changedHash.length && !changedStatus.length,
+    productionTotals: totals(production),
+    developmentTotals: totals(development),
+    addedCount: added.length,
+    removedCount: removed.length,
+    added: added.slice(0, MAX_ASSETS).map(slim),
+    removed: removed.slice(0, MAX_ASSETS).map(slim),
+    grew: grew.sort((a, b) => b.growth - a.growth).slice(0, MAX_ASSETS).map(slimPair),
+    changedHash: changedHash.sort(byTypeAndUrl).slice(0, MAX_ASSETS).map(slimPair),
+    changedStatus: changedStatus.sort(byTypeAndUrl).slice(0, MAX_ASSETS).map(slimPair),
+    changedCache: changedCache.sort(byTypeAndUrl).slice(0, MAX_ASSETS).map(slimPair)
+  };
+}
+
+// Collector for captureComparison(): records every request of each environment's page load
+// and diffs the two inventories
+function assetCollector() {
+  let watcher = null;
+  return {
+    key: 'assets',
+    start: page => {
+      watcher = watchAssets(page);
+    },
+    collect: async () => {
+      const assets = watcher ? await watcher.stop() : [];
+      watcher = null;
+      return assets;
+    },
+    compare: compareAssets
+  };
+}
+
+module.exports = {
+  ASSET_TYPES,
+  normalizeAssetUrl,
+  watchAssets,
+  compareAssets,
+  assetCollector
+};
@@ -0,0 +1,78 @@
+// @ts-check
+const fs = require('fs').promises;
+const fsSync = require('fs');
+const path = require('path');
+const { BASELINES_DIR } = require('./config');
+const { paintIgnoredRegions } = require('./pixel-diff');
+
+// Image and metadata file of one approved baseline:
+// baselines/<browser>/<device>/<pageId>.png and .json.
+// The image path is also where toHaveScreenshot() looks (snapshotPathTemplate in playwright.config.js).
+function baselinePaths({ browser, device, pageId }) {
+  const base = path.join(BASELINES_DIR, browser, device, pageId);
+  return { imagePath: `${base}.png`, metadataPath: `${base}.json` };
+}
+
+function hasBaseline(key) {
+  return fsSync.existsSync(baselinePaths(key).imagePath);
+}
+
+// Read an approved baseline: { image, metadata }, or null if the page was never approved
+async function readBaseline(key) {
+  const { imagePath, metadataPath } = baselinePaths(key);
+  if (!fsSync.existsSync(imagePath)) {
+    return null;
+  }
+
+  let metadata = null;
+  try {
+    metadata = JSON.parse(await fs.readFile(metadataPath, 'utf8'));
+  } catch (error) {
+    // Image written without the approve command (e.g. --update-snapshots)
+  }
+  return { image: await fs.readFile(imagePath), metadata };
+}
+
+// Store a screenshot as the approved baseline of a page. Ignore regions are painted in, so
+// toHaveScreenshot() (which covers them with overlays) sees the same image. Earlier approvals
+// are kept in the metadata's history.
+async function approveBaseline({ browser, device, pageId, pageUrl, viewport, image, ignoreRegions = [], environment, sourceUrl, capturedAt, approvedBy, note }) {
+  const { imagePath, metadataPath } = baselinePaths({ browser, device, pageId });
+  const previous = await readBaseline({ browser, device, pageId });
+  const previousMetadata = previous && previous.metadata;
+
+  const metadata = {
+    pageUrl,
+    pageId,
+    device,
+    browser,
+    viewport,
+    approvedBy,
+    approvedAt: new Date().toISOString(),
+    note: note || null,
+    environment: { name: environment.name, label: environment.label, baseUrl: environment.baseUrl },
+    sourceUrl,
+    capturedAt,
+    history: previousMetadata
+      ? [...(previousMetadata.history || []), {
+          approvedBy: previousMetadata.approvedBy,
+          approvedAt: previousMetadata.approvedAt,
+          note: previousMetadata.note,
+          environment: previousMetadata.environment,
+          sourceUrl: previousMetadata.sourceUrl
+        }]
+      : []
+  };
+
+  await fs.mkdir(path.dirname(imagePath), { recursive: true });
+  await fs.writeFile(imagePath, ignoreRegions.length ? paintIgnoredRegions(image, ignoreRegions) : image);
+  await fs.writeFile(metadataPath, JSON.stringify(metadata, null, 2));
+  return { imagePath, metadataPath, metadata };
+}
+
+module.exports = {
+  baselinePaths,
+  hasBaseline,
+  readBaseline,
+  approveBaseline
+};
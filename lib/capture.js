@@ -0,0 +1,173 @@
+// @ts-check
+const { NAVIGATION_TIMEOUT } = require('./config');
+const { compareScreenshots } = require('./pixel-diff');
+const { saveScreenshot } = require('./results');
+const { applyMaskRules, screenshotMaskOptions, measureMaskedAreas } = require('./masks');
+const { stabilizePage } = require('./stabilize');
+const consentConfig = require('../consent.config');
+
+// Function to hide cookie banner (its behaviour is tested by tests/consent.test.js)
+async function hideCookieBanner(page) {
+  await page.evaluate(selector => {
+    const cookieBanner = document.querySelector(selector);
+    if (cookieBanner instanceof HTMLElement) {
+      cookieBanner.style.display = 'none';
+    }
+  }, consentConfig.selectors.banner);
+}
+
+// Steps run on every page after it loads and before it is captured.
+// Forms are left untouched; their behaviour is tested by tests/forms.test.js.
+const DEFAULT_PREPARE_STEPS = [hideCookieBanner];
+
+// Function to get a safe filename from URL
+function getPageIdentifier(url) {
+  return url.replace(/\//g, '_').replace(/^_+|_+$/g, '') || 'homepage';
+}
+
+// Run the page-preparation pipeline, one step after another
+async function preparePage(page, steps = DEFAULT_PREPARE_STEPS) {
+  for (const step of steps) {
+    await step(page);
+  }
+}
+
+// Navigate to a URL, wait until the page is ready and run the preparation pipeline plus the
+// hide/freeze mask rules. Returns how long the page took to become ready.
+async function loadPage(page, url, { prepare = DEFAULT_PREPARE_STEPS, stabilizeTimeout, masks = null } = {}) {
+  await page.goto(url, {
+    waitUntil: 'load',
+    timeout: NAVIGATION_TIMEOUT
+  });
+
+  const stabilization = await stabilizePage(page, { timeout: stabilizeTimeout });
+  if (stabilization.timedOut) {
+    console.log(`⏱️  ${url} was still changing after ${stabilization.durationMs}ms, capturing anyway`);
+  }
+
+  await preparePage(page, prepare);
+  if (masks) {
+    await applyMaskRules(page, masks);
+  }
+  return stabilization;
+}
+
+// Navigate to a URL, prepare the page and take a full-page screenshot.
+// Selectors of the `mask` rule are painted over.
+async function capturePage(page, url, options = {}) {
+  const stabilization = await loadPage(page, url, options);
+
+  const screenshot = await page.screenshot({
+    fullPage: true,
+    animations: 'disabled',
+    ...(options.masks ? screenshotMaskOptions(page, options.masks) : {})
+  });
+  return { screenshot, stabilization };
+}
+
+// Let collectors that watch page events attach before the page navigates
+async function startCollectors(page, collectors) {
+  for (const collector of collectors) {
+    if (collector.start) {
+      await collector.start(page);
+    }
+  }
+}
+
+// Run the collectors on a loaded page and return their data by key
+async function runCollectors(page, collectors) {
+  const collected = {};
+  for (const collector of collectors) {
+    collected[collector.key] = await collector.collect(page);
+  }
+  return collected;
+}
+
+// Capture a page in both environments, save both screenshots plus the diff image and compare them.
+// Files are named `<name>-production.png`, `<name>-development.png` and `<name>-diff.png`.
+// Ignore regions of the mask rules are left out of the comparison.
+//
+// Collectors gather more data from each environment while its page is loaded:
+//   { key, start?(page), collect(page) => data, compare(productionData, developmentData, { name, environments }) => result }
+// `start` runs before navigation, `collect` once the page is captured. Their results are
+// returned under `collected[key]`.
+//
+// When the reference is the 'baseline' environment, `baseline` ({ image, metadata } from
+// lib/baselines.js) stands in for the reference capture. There is no reference page then, so
+// collectors are not run.
+async function captureComparison(page, { pageUrl, name, environments, collectors = [], baseline = null, ...captureOptions }) {
+  const masks = captureOptions.masks;
+  const { reference, candidate } = environments;
+  const fromBaseline = reference.role === 'baseline';
+  const productionUrl = fromBaseline ? baseline.metadata?.sourceUrl || pageUrl : `${reference.baseUrl}${pageUrl}`;
+  const developmentUrl = `${candidate.baseUrl}${pageUrl}`;
+  if (fromBaseline) {
+    collectors = [];
+  }
+
+  let prodScreenshot;
+  let prodStabilization = null;
+  let prodMaskedAreas = [];
+  let prodCollected = {};
+  if (fromBaseline) {
+    console.log(`📂 Using ${reference.label} of ${productionUrl}`);
+    prodScreenshot = baseline.image;
+  } else {
+    console.log(`📷 Testing ${reference.label}: ${productionUrl}`);
+    await startCollectors(page, collectors);
+    ({ screenshot: prodScreenshot, stabilization: prodStabilization } = await capturePage(page, productionUrl, captureOptions));
+    prodMaskedAreas = masks ? await measureMaskedAreas(page, masks) : [];
+    prodCollected = await runCollectors(page, collectors);
+  }
+  const prodPath = await saveScreenshot(`${name}-production.png`, prodScreenshot);
+  console.log(`✅ ${reference.label} screenshot saved: ${prodPath}`);
+
+  console.log(`📷 Testing ${candidate.label}: ${developmentUrl}`);
+  await startCollectors(page, collectors);
+  const { screenshot: devScreenshot, stabilization: devStabilization } = await capturePage(page, developmentUrl, captureOptions);
+  const devMaskedAreas = masks ? await measureMaskedAreas(page, masks) : [];
+  const devCollected = await runCollectors(page, collectors);
+  const devPath = await saveScreenshot(`${name}-development.png`, devScreenshot);
+  console.log(`✅ ${candidate.label} screenshot saved: ${devPath}`);
+
+  const comparison = compareScreenshots(prodScreenshot, devScreenshot, {
+    ignoreRegions: masks ? masks.ignoreRegions : []
+  });
+  const diffPath = await saveScreenshot(`${name}-diff.png`, comparison.diffImage);
+
+  const collected = {};
+  for (const collector of collectors) {
+    collected[collector.key] = await collector.compare(prodCollected[collector.key], devCollected[collector.key], {
+      name,
+      environments
+    });
+  }
+
+  return {
+    productionUrl,
+    developmentUrl,
+    prodPath,
+    devPath,
+    diffPath,
+    maskedAreas: {
+      production: prodMaskedAreas,
+      development: devMaskedAreas
+    },
+    stabilization: {
+      production: prodStabilization,
+      development: devStabilization
+    },
+    comparison,
+    collected
+  };
+}
+
+module.exports = {
+  DEFAULT_PREPARE_STEPS,
+  hideCookieBanner,
+  getPageIdentifier,
+  preparePage,
+  loadPage,
+  capturePage,
+  captureComparison
+};
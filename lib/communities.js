@@ -0,0 +1,131 @@
+// @ts-check
+const axios = require('axios');
+const fsSync = require('fs');
+const path = require('path');
+const config = require('../communities.config');
+const { isSameSite, isHostRedirect } = require('./links');
+
+const REQUEST_TIMEOUT = 30000;
+
+// Community list written by `npm run discover-communities` and picked up by tests/communities.test.js
+const DISCOVERED_COMMUNITIES_FILE = path.join(__dirname, '..', 'discovered-communities.json');
+
+// Communities tested at most (0: all)
+const MAX_COMMUNITIES = parseInt(process.env.COMMUNITIES_MAX || '', 10) || config.maxCommunities;
+
+async function fetchHtml(url) {
+  const response = await axios.get(url, { timeout: REQUEST_TIMEOUT, responseType: 'text' });
+  return String(response.data);
+}
+
+// 'eagle-ridge' becomes 'Eagle Ridge'
+function communityName(slug) {
+  return slug.split('-').map(word => word.charAt(0).toUpperCase() + word.slice(1)).join(' ');
+}
+
+// Slugs of the communities the listing page links to on the site (apex or www host), sorted
+async function listCommunities(baseUrl) {
+  const html = await fetchHtml(`${baseUrl}${config.listingPage}`);
+  const { host } = new URL(baseUrl);
+  const communityPath = new RegExp(`^${config.listingPage.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}([^/]+)/$`);
+
+  const slugs = new Set();
+  for (const [, href] of html.matchAll(/href=["']([^"'#]+)["']/g)) {
+    let url;
+    try {
+      url = new URL(href, baseUrl);
+    } catch (error) {
+      continue;
+    }
+    const match = isSameSite(url.host, host) && url.pathname.match(communityPath);
+    if (match && !config.exclude.includes(match[1])) {
+      slugs.add(match[1]);
+    }
+  }
+  return [...slugs].sort();
+}
+
+function requestSubPage(url) {
+  return axios.get(url, { timeout: REQUEST_TIMEOUT, maxRedirects: 0, validateStatus: () => true });
+}
+
+// Sub-pages of subPages a community has: only those answering 200 count. A redirect between
+// the apex and www host of the site is followed; any other redirect means there is no such page.
+async function findSubPages(baseUrl, communityPath) {
+  const found = [];
+  for (const subPage of config.subPages) {
+    const url = `${baseUrl}${communityPath}${subPage}`;
+    try {
+      let response = await requestSubPage(url);
+      const location = response.headers.location ? new URL(response.headers.location, url).href : null;
+      if (response.status >= 300 && response.status < 400 && location && isHostRedirect(url, location)) {
+        response = await requestSubPage(location);
+      }
+      if (response.status === 200) {
+        found.push(`${communityPath}${subPage}`);
+      }
+    } catch (error) {
+      console.log(`⚠️  Could not check ${communityPath}${subPage}: ${error.message}`);
+    }
+  }
+  return found;
+}
+
+// Every community of an environment with the pages to test:
+//   [{ slug, name, path, pages: [path, ...sub-pages] }]
+async function discoverCommunities(baseUrl) {
+  const slugs = await listCommunities(baseUrl);
+  console.log(`🏘️  Found ${slugs.length} communities on ${baseUrl}`);
+
+  const communities = [];
+  for (const slug of slugs) {
+    const communityPath = `${config.listingPage}${slug}/`;
+    const subPages = await findSubPages(baseUrl, communityPath);
+    console.log(`   ${slug}: ${subPages.length} sub-pages`);
+    communities.push({ slug, name: communityName(slug), path: communityPath, pages: [communityPath, ...subPages] });
+  }
+  return communities;
+}
+
+// Communities and sub-pages found on only one environment
+function diffCommunities(productionCommunities, developmentCommunities) {
+  const bySlug = list => new Map(list.map(community => [community.slug, community]));
+  const production = bySlug(productionCommunities);
+  const development = bySlug(developmentCommunities);
+
+  const subPages = [];
+  for (const [slug, community] of production) {
+    const other = development.get(slug);
+    if (!other) continue;
+    const onlyInProduction = community.pages.filter(pagePath => !other.pages.includes(pagePath));
+    const onlyInDevelopment = other.pages.filter(pagePath => !community.pages.includes(pagePath));
+    if (onlyInProduction.length || onlyInDevelopment.length) {
+      subPages.push({ slug, onlyInProduction, onlyInDevelopment });
+    }
+  }
+
+  return {
+    onlyInProduction: [...production.keys()].filter(slug => !development.has(slug)),
+    onlyInDevelopment: [...development.keys()].filter(slug => !production.has(slug)),
+    subPages
+  };
+}
+
+// Read the discovery output synchronously (test files are collected synchronously).
+// Returns null when `npm run discover-communities` has not been run.
+function readDiscoveredCommunities() {
+  if (!fsSync.existsSync(DISCOVERED_COMMUNITIES_FILE)) {
+    return null;
+  }
+  return JSON.parse(fsSync.readFileSync(DISCOVERED_COMMUNITIES_FILE, 'utf8'));
+}
+
+module.exports = {
+  DISCOVERED_COMMUNITIES_FILE,
+  MAX_COMMUNITIES,
+  communityName,
+  listCommunities,
+  discoverCommunities,
+  diffCommunities,
+  readDiscoveredCommunities
+};
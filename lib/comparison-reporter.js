@@ -0,0 +1,21 @@
+// @ts-check
+const { buildReports } = require('./report');
+
+// Playwright reporter that builds the comparison reports once all tests are done, from the
+// results and screenshots the capture tests stored. Works with fullyParallel and any number
+// of browser projects because it only runs in the main process, after every worker finished.
+class ComparisonReporter {
+  async onEnd() {
+    try {
+      await buildReports();
+    } catch (error) {
+      console.error(`❌ Could not build comparison report: ${error.message}`);
+    }
+  }
+
+  printsToStdio() {
+    return false;
+  }
+}
+
+module.exports = ComparisonReporter;
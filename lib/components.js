@@ -0,0 +1,127 @@
+// @ts-check
+const config = require('../components.config');
+const { patternToRegExp } = require('./sitemap');
+const { compareScreenshots, summarizeComparison } = require('./pixel-diff');
+const { screenshotMaskOptions } = require('./masks');
+const { saveScreenshot } = require('./results');
+
+// Components that belong to a page: every configured (or suite-given) component without
+// a `pages` list, plus those whose patterns match the page
+function resolveComponents(pageUrl, components = config) {
+  return Object.entries(components)
+    .filter(([, component]) => !component.pages ||
+      component.pages.some(pattern => patternToRegExp(pattern).test(pageUrl)))
+    .map(([name, component]) => ({ name, selector: component.selector }));
+}
+
+// Screenshot every component of the loaded page, with its box in page coordinates.
+// Components that are missing or not visible are recorded as not found.
+async function captureComponents(page, components, masks = null) {
+  const captures = {};
+
+  for (const component of components) {
+    const locator = page.locator(component.selector).filter({ visible: true }).first();
+
+    if (!await locator.count()) {
+      captures[component.name] = { found: false };
+      continue;
+    }
+
+    try {
+      const box = await locator.evaluate(element => {
+        const rect = element.getBoundingClientRect();
+        return { x: rect.left + window.scrollX, y: rect.top + window.scrollY, width: rect.width, height: rect.height };
+      });
+      const screenshot = await locator.screenshot({
+        animations: 'disabled',
+        ...(masks ? screenshotMaskOptions(page, masks) : {})
+      });
+      captures[component.name] = { found: true, box, screenshot };
+    } catch (error) {
+      console.log(`⚠️  Could not capture component ${component.name}: ${error.message}`);
+      captures[component.name] = { found: false, error: error.message };
+    }
+  }
+
+  return captures;
+}
+
+// The parts of page ignore regions (see masks.config.js) that fall on a component, in the
+// coordinates of the component's screenshot
+function componentIgnoreRegions(ignoreRegions, box) {
+  return ignoreRegions
+    .map(region => {
+      const left = Math.max(region.x, box.x);
+      const top = Math.max(region.y, box.y);
+      const right = Math.min(region.x + region.width, box.x + box.width);
+      const bottom = Math.min(region.y + region.height, box.y + box.height);
+      return { x: Math.round(left - box.x), y: Math.round(top - box.y), width: Math.round(right - left), height: Math.round(bottom - top) };
+    })
+    .filter(region => region.width > 0 && region.height > 0);
+}
+
+// Compare the component screenshots of both environments and save them as
+// `<name>-component-<component>-production.png` / `-development.png` / `-diff.png`.
+// The page's ignore regions are left out of the comparison where they cover the component
+// in either environment.
+async function compareComponents(name, components, productionCaptures, developmentCaptures, ignoreRegions = []) {
+  const results = [];
+
+  for (const component of components) {
+    const production = productionCaptures[component.name];
+    const development = developmentCaptures[component.name];
+    const result = { name: component.name, selector: component.selector };
+
+    if (!production.found || !development.found) {
+      if (production.found) {
+        result.status = 'missing in development';
+      } else if (development.found) {
+        result.status = 'missing in production';
+      } else {
+        result.status = 'missing';
+      }
+      results.push(result);
+      continue;
+    }
+
+    const fileBase = `${name}-component-${component.name}`;
+    const comparison = compareScreenshots(production.screenshot, development.screenshot, {
+      ignoreRegions: [
+        ...componentIgnoreRegions(ignoreRegions, production.box),
+        ...componentIgnoreRegions(ignoreRegions, development.box)
+      ]
+    });
+
+    results.push({
+      ...result,
+      status: 'compared',
+      productionBox: production.box,
+      developmentBox: development.box,
+      ...summarizeComparison(comparison),
+      productionScreenshotPath: await saveScreenshot(`${fileBase}-production.png`, production.screenshot),
+      developmentScreenshotPath: await saveScreenshot(`${fileBase}-development.png`, development.screenshot),
+      diffScreenshotPath: await saveScreenshot(`${fileBase}-diff.png`, comparison.diffImage)
+    });
+  }
+
+  return results;
+}
+
+// Collector for captureComparison(): captures the components in each environment and
+// compares them once both are done
+function componentCollector(components, masks = null) {
+  return {
+    key: 'components',
+    collect: page => captureComponents(page, components, masks),
+    compare: (production, development, { name }) =>
+      compareComponents(name, components, production, development, masks ? masks.ignoreRegions : [])
+  };
+}
+
+module.exports = {
+  resolveComponents,
+  captureComponents,
+  componentIgnoreRegions,
+  compareComponents,
+  componentCollector
+};
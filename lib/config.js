@@ -0,0 +1,24 @@
+// @ts-check
+
+// Viewport configurations
+const VIEWPORTS = {
+  desktop: { width: 1920, height: 1080 },
+  tablet: { width: 768, height: 1024 },
+  mobile: { width: 375, height: 667 }
+};
+
+// Where screenshots, result files and reports are written
+const SCREENSHOTS_DIR = 'test-results/screenshots';
+
+// Approved baseline screenshots, one per browser, device and page (committed, see lib/baselines.js)
+const BASELINES_DIR = 'baselines';
+
+// Navigation timeout for every page load
+const NAVIGATION_TIMEOUT = 30000;
+
+module.exports = {
+  VIEWPORTS,
+  SCREENSHOTS_DIR,
+  BASELINES_DIR,
+  NAVIGATION_TIMEOUT
+};
@@ -0,0 +1,275 @@
+// @ts-check
+const { NAVIGATION_TIMEOUT } = require('./config');
+const config = require('../consent.config');
+
+// Consent choices a visitor can make on the banner
+const CONSENT_CHOICES = ['accept', 'reject', 'customize'];
+
+// Time the CookieYes script gets to show its banner after the page loaded
+const BANNER_TIMEOUT = 5000;
+
+// Tracker URLs kept per category in the result files
+const MAX_TRACKERS = 20;
+
+const TRACKER_CATEGORIES = Object.keys(config.trackers);
+
+// Categories a choice accepts
+function allowedCategories(choice) {
+  if (choice === 'accept') return TRACKER_CATEGORIES;
+  if (choice === 'customize') return config.customize;
+  return [];
+}
+
+// Consent category of a request URL or a cookie name, or null
+function trackerCategory(value, kind) {
+  for (const [category, patterns] of Object.entries(config.trackers)) {
+    const matches = patterns.some(pattern => (kind === 'request'
+      ? typeof pattern === 'string' && value.includes(pattern)
+      : pattern instanceof RegExp && pattern.test(value)));
+    if (matches) return category;
+  }
+  return null;
+}
+
+// Record the tracker requests of every page of a context. snapshot() returns them by
+// category, each URL once, without query string.
+function watchTrackers(context) {
+  const requests = [];
+  context.on('request', request => {
+    const category = trackerCategory(request.url(), 'request');
+    if (category) {
+      const url = new URL(request.url());
+      requests.push({ category, url: `${url.host}${url.pathname}` });
+    }
+  });
+
+  return {
+    mark: () => requests.length,
+    snapshot: (from = 0) => groupByCategory(requests.slice(from).map(({ category, url }) => ({ category, value: url })))
+  };
+}
+
+// Tracker cookies set in a context, by category
+async function trackerCookies(context) {
+  const cookies = await context.cookies();
+  return groupByCategory(cookies
+    .map(cookie => ({ category: trackerCategory(cookie.name, 'cookie'), value: cookie.name }))
+    .filter(entry => entry.category));
+}
+
+function groupByCategory(entries) {
+  const grouped = {};
+  for (const { category, value } of entries) {
+    grouped[category] = grouped[category] || [];
+    if (!grouped[category].includes(value) && grouped[category].length < MAX_TRACKERS) {
+      grouped[category].push(value);
+    }
+  }
+  return grouped;
+}
+
+// The choice CookieYes stored: 'consentid:…,consent:yes,action:yes,necessary:yes,analytics:no,…'
+// becomes { consent: 'yes', action: 'yes', necessary: 'yes', analytics: 'no', … }, or null
+async function readConsentCookie(context) {
+  const cookie = (await context.cookies()).find(entry => entry.name === config.cookie);
+  if (!cookie) return null;
+
+  const values = {};
+  for (const pair of decodeURIComponent(cookie.value).split(',')) {
+    const [key, value] = pair.split(':');
+    if (key && key !== 'consentid') values[key.trim()] = (value || '').trim();
+  }
+  return values;
+}
+
+// Load a page and give late scripts (the banner, trackers) time to run
+async function loadAndSettle(page, url) {
+  await page.goto(url, { waitUntil: 'load', timeout: NAVIGATION_TIMEOUT });
+  await page.waitForLoadState('networkidle', { timeout: 5000 }).catch(() => {});
+}
+
+async function bannerShown(page) {
+  return page.locator(config.selectors.banner).first()
+    .waitFor({ state: 'visible', timeout: BANNER_TIMEOUT })
+    .then(() => true, () => false);
+}
+
+// Load every page in a fresh context of its own, as a first-time visitor, and check that the
+// banner shows and nothing that needs consent loads
+async function checkBanners(browser, baseUrl, contextOptions) {
+  const results = [];
+  for (const pageUrl of config.pages) {
+    const context = await browser.newContext(contextOptions);
+    try {
+      const trackers = watchTrackers(context);
+      const page = await context.newPage();
+      await loadAndSettle(page, `${baseUrl}${pageUrl}`);
+      results.push({
+        pageUrl,
+        bannerShown: await bannerShown(page),
+        trackers: trackers.snapshot(),
+        cookies: await trackerCookies(context)
+      });
+    } finally {
+      await context.close();
+    }
+  }
+  return results;
+}
+
+// Make a choice on the banner of the first page, then visit the other pages in the same
+// context. Records what loaded before and after the choice and whether the choice was kept.
+async function runConsentChoice(browser, baseUrl, choice, contextOptions) {
+  const { selectors } = config;
+  const context = await browser.newContext(contextOptions);
+  try {
+    const trackers = watchTrackers(context);
+    const page = await context.newPage();
+    const [firstPage, ...otherPages] = config.pages;
+
+    await loadAndSettle(page, `${baseUrl}${firstPage}`);
+    const result = {
+      choice,
+      allowed: allowedCategories(choice),
+      bannerShown: await bannerShown(page),
+      trackersBeforeChoice: trackers.snapshot(),
+      cookiesBeforeChoice: await trackerCookies(context),
+      bannerClosed: false,
+      consent: null,
+      trackers: {},
+      cookies: {},
+      pages: []
+    };
+    if (!result.bannerShown) {
+      return result;
+    }
+
+    const mark = trackers.mark();
+    if (choice === 'accept') {
+      await page.locator(selectors.acceptAll).first().click();
+    } else if (choice === 'reject') {
+      await page.locator(selectors.rejectAll).first().click();
+    } else {
+      await page.locator(selectors.customize).first().click();
+      for (const category of TRACKER_CATEGORIES) {
+        await page.locator(selectors.categoryToggle.replace('{category}', category)).first()
+          .setChecked(config.customize.includes(category), { force: true });
+      }
+      await page.locator(selectors.savePreferences).first().click();
+    }
+    await page.waitForLoadState('networkidle', { timeout: 5000 }).catch(() => {});
+    result.bannerClosed = !await page.locator(selectors.banner).first().isVisible();
+
+    // Pages visited after the choice must not ask again and must respect it
+    for (const pageUrl of otherPages) {
+      await loadAndSettle(page, `${baseUrl}${pageUrl}`);
+      result.pages.push({ pageUrl, bannerShown: await page.locator(selectors.banner).first().isVisible() });
+    }
+
+    result.consent = await readConsentCookie(context);
+    result.trackers = trackers.snapshot(mark);
+    result.cookies = await trackerCookies(context);
+    return result;
+  } finally {
+    await context.close();
+  }
+}
+
+// Problems of the banner check of one environment, as readable lines
+function bannerProblems(results) {
+  const problems = [];
+  for (const { pageUrl, bannerShown: shown, trackers, cookies } of results) {
+    if (!shown) problems.push(`${pageUrl}: no consent banner`);
+    for (const [category, urls] of Object.entries(trackers)) {
+      problems.push(`${pageUrl}: ${category} loaded before consent: ${urls.join(', ')}`);
+    }
+    for (const [category, names] of Object.entries(cookies)) {
+      problems.push(`${pageUrl}: ${category} cookies set before consent: ${names.join(', ')}`);
+    }
+  }
+  return problems;
+}
+
+// Problems of one consent choice on one environment, as readable lines
+function choiceProblems(result) {
+  if (!result.bannerShown) {
+    return ['no consent banner'];
+  }
+
+  const problems = [];
+  for (const [category, urls] of Object.entries(result.trackersBeforeChoice)) {
+    problems.push(`${category} loaded before the choice: ${urls.join(', ')}`);
+  }
+  if (!result.bannerClosed) problems.push('banner still shown after the choice');
+
+  for (const [category, urls] of Object.entries(result.trackers)) {
+    if (!result.allowed.includes(category)) problems.push(`${category} loaded although not accepted: ${urls.join(', ')}`);
+  }
+  for (const [category, names] of Object.entries(result.cookies)) {
+    if (!result.allowed.includes(category)) problems.push(`${category} cookies set although not accepted: ${names.join(', ')}`);
+  }
+
+  if (!result.consent) {
+    problems.push(`choice not stored (no ${config.cookie} cookie)`);
+  } else {
+    for (const category of TRACKER_CATEGORIES) {
+      const expected = result.allowed.includes(category) ? 'yes' : 'no';
+      if (result.consent[category] !== expected) {
+        problems.push(`${config.cookie} stores ${category}:${result.consent[category] || '-'} instead of ${category}:${expected}`);
+      }
+    }
+  }
+
+  result.pages.filter(entry => entry.bannerShown)
+    .forEach(entry => problems.push(`${entry.pageUrl}: banner shown again after the choice`));
+  return problems;
+}
+
+// Collects "<label>: <a> on <reference>, <b> on <candidate>" lines for values that differ
+function differenceList(environments) {
+  const differences = [];
+  const differ = (label, a, b) => {
+    if (JSON.stringify(a) !== JSON.stringify(b)) {
+      differences.push(`${label}: ${JSON.stringify(a)} on ${environments.reference.label}, ${JSON.stringify(b)} on ${environments.candidate.label}`);
+    }
+  };
+  return { differences, differ };
+}
+
+const categoriesOf = grouped => Object.keys(grouped).sort();
+
+// What differs between the banner checks of both environments, as readable lines
+function compareBannerResults(production, development, environments) {
+  const { differences, differ } = differenceList(environments);
+  production.forEach((entry, index) => {
+    const other = development[index];
+    differ(`${entry.pageUrl} banner shown`, entry.bannerShown, other.bannerShown);
+    differ(`${entry.pageUrl} loaded before consent`, categoriesOf(entry.trackers), categoriesOf(other.trackers));
+  });
+  return differences;
+}
+
+// What differs between a consent choice on both environments, as readable lines: banner,
+// categories loaded after the choice and the stored choice
+function compareChoiceResults(production, development, environments) {
+  const { differences, differ } = differenceList(environments);
+  differ('banner shown', production.bannerShown, development.bannerShown);
+  differ('loaded after the choice', categoriesOf(production.trackers), categoriesOf(development.trackers));
+  differ('stored choice', production.consent, development.consent);
+  production.pages.forEach((entry, index) => {
+    differ(`${entry.pageUrl} banner shown after the choice`, entry.bannerShown, (development.pages[index] || {}).bannerShown);
+  });
+  return differences;
+}
+
+module.exports = {
+  CONSENT_CHOICES,
+  allowedCategories,
+  readConsentCookie,
+  checkBanners,
+  runConsentChoice,
+  bannerProblems,
+  choiceProblems,
+  compareBannerResults,
+  compareChoiceResults
+};
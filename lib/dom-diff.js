@@ -0,0 +1,292 @@
+// @ts-check
+
+// Largest LCS table (cells) diffSequences() builds; bigger middles are reported as replaced
+const MAX_DIFF_CELLS = 9000000;
+
+// Entries kept per list in the result files and reports
+const MAX_ITEMS = 200;
+
+// Words of unchanged text kept around each change in the text diff
+const TEXT_CONTEXT_WORDS = 8;
+
+// Elements left out of the outline
+const SKIPPED_TAGS = ['SCRIPT', 'STYLE', 'NOSCRIPT', 'TEMPLATE', 'LINK', 'META'];
+
+// Attributes compared on links and images
+const COMPARED_ATTRIBUTES = {
+  a: ['href', 'target', 'rel', 'title'],
+  img: ['src', 'alt', 'width', 'height', 'loading']
+};
+
+// Diff two sequences. Returns operations { type: 'equal' | 'delete' | 'insert', a?, b? } where
+// `a` / `b` are the items of the first and second sequence.
+function diffSequences(a, b, equals = (x, y) => x === y) {
+  let start = 0;
+  while (start < a.length && start < b.length && equals(a[start], b[start])) start++;
+
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && equals(a[endA - 1], b[endB - 1])) {
+    endA--;
+    endB--;
+  }
+
+  const ops = [];
+  for (let i = 0; i < start; i++) ops.push({ type: 'equal', a: a[i], b: b[i] });
+
+  const middleA = a.slice(start, endA);
+  const middleB = b.slice(start, endB);
+  const n = middleA.length;
+  const m = middleB.length;
+
+  if ((n + 1) * (m + 1) > MAX_DIFF_CELLS) {
+    middleA.forEach(item => ops.push({ type: 'delete', a: item }));
+    middleB.forEach(item => ops.push({ type: 'insert', b: item }));
+  } else {
+    // Longest common subsequence table, filled from the end
+    const table = new Uint16Array((n + 1) * (m + 1));
+    for (let i = n - 1; i >= 0; i--) {
+      for (let j = m - 1; j >= 0; j--) {
+        table[i * (m + 1) + j] = equals(middleA[i], middleB[j])
+          ? table[(i + 1) * (m + 1) + j + 1] + 1
+          : Math.max(table[(i + 1) * (m + 1) + j], table[i * (m + 1) + j + 1]);
+      }
+    }
+
+    let i = 0;
+    let j = 0;
+    while (i < n && j < m) {
+      if (equals(middleA[i], middleB[j])) {
+        ops.push({ type: 'equal', a: middleA[i++], b: middleB[j++] });
+      } else if (table[(i + 1) * (m + 1) + j] >= table[i * (m + 1) + j + 1]) {
+        ops.push({ type: 'delete', a: middleA[i++] });
+      } else {
+        ops.push({ type: 'insert', b: middleB[j++] });
+      }
+    }
+    while (i < n) ops.push({ type: 'delete', a: middleA[i++] });
+    while (j < m) ops.push({ type: 'insert', b: middleB[j++] });
+  }
+
+  for (let i = endA; i < a.length; i++) ops.push({ type: 'equal', a: a[i], b: b[i - endA + endB] });
+  return ops;
+}
+
+// Read a normalized DOM outline and the visible text of the loaded page.
+// Link and image URLs are made host-relative so both environments compare equal.
+async function collectDom(page) {
+  return page.evaluate(({ skippedTags, comparedAttributes }) => {
+    const origin = window.location.origin;
+    const outline = [];
+
+    // Classes with long numbers (post ids, builder element ids) differ between environments
+    const stableClasses = element => [...element.classList]
+      .filter(className => !/\d{3,}/.test(className))
+      .sort();
+
+    const normalizeUrl = value => {
+      if (!value) return value;
+      try {
+        const url = new URL(value, origin);
+        return url.origin === origin ? `${url.pathname}${url.search}${url.hash}` : url.href;
+      } catch (error) {
+        return value;
+      }
+    };
+
+    const walk = (element, depth) => {
+      for (const child of element.children) {
+        if (skippedTags.includes(child.tagName)) continue;
+
+        const tag = child.tagName.toLowerCase();
+        const classes = stableClasses(child);
+        const entry = {
+          depth,
+          tag,
+          signature: `${tag}${child.id ? `#${child.id}` : ''}${classes.length ? `.${classes.join('.')}` : ''}`
+        };
+
+        const attributes = comparedAttributes[tag];
+        if (attributes) {
+          entry.attributes = {};
+          for (const attribute of attributes) {
+            const value = child.getAttribute(attribute);
+            if (value !== null) {
+              entry.attributes[attribute] = attribute === 'href' || attribute === 'src' ? normalizeUrl(value) : value;
+            }
+          }
+          if (tag === 'a') {
+            entry.text = (child.textContent || '').replace(/\s+/g, ' ').trim().slice(0, 80);
+          }
+        }
+
+        outline.push(entry);
+
+        // SVG internals are drawing instructions, not page structure
+        if (tag !== 'svg') walk(child, depth + 1);
+      }
+    };
+    walk(document.body, 0);
+
+    return {
+      outline,
+      text: document.body.innerText
+    };
+  }, { skippedTags: SKIPPED_TAGS, comparedAttributes: COMPARED_ATTRIBUTES });
+}
+
+// Word-level diff of the visible text: lines are diffed first, then the words of each changed
+// block. Returns segments { type, text } with long unchanged runs shortened to some context.
+function diffText(productionText, developmentText) {
+  const toLines = text => text.split('\n').map(line => line.replace(/\s+/g, ' ').trim()).filter(Boolean);
+  const toWords = lines => lines.join(' ').split(' ').filter(Boolean);
+
+  const words = [];
+  let deletedLines = [];
+  let insertedLines = [];
+  const flushChanges = () => {
+    if (!deletedLines.length && !insertedLines.length) return;
+    for (const op of diffSequences(toWords(deletedLines), toWords(insertedLines))) {
+      words.push({ type: op.type, word: op.type === 'insert' ? op.b : op.a });
+    }
+    deletedLines = [];
+    insertedLines = [];
+  };
+
+  for (const op of diffSequences(toLines(productionText), toLines(developmentText))) {
+    if (op.type === 'equal') {
+      flushChanges();
+      toWords([op.a]).forEach(word => words.push({ type: 'equal', word }));
+    } else if (op.type === 'delete') {
+      deletedLines.push(op.a);
+    } else {
+      insertedLines.push(op.b);
+    }
+  }
+  flushChanges();
+
+  // Merge words into segments, shortening unchanged runs
+  const segments = [];
+  let added = 0;
+  let removed = 0;
+  for (let i = 0; i < words.length;) {
+    const type = words[i].type;
+    let j = i;
+    while (j < words.length && words[j].type === type) j++;
+    const run = words.slice(i, j).map(entry => entry.word);
+
+    if (type === 'equal') {
+      const keepBefore = i === 0 ? 0 : TEXT_CONTEXT_WORDS;
+      const keepAfter = j === words.length ? 0 : TEXT_CONTEXT_WORDS;
+      if (run.length > keepBefore + keepAfter + 1) {
+        if (keepBefore) segments.push({ type, text: run.slice(0, keepBefore).join(' ') });
+        segments.push({ type: 'skipped', text: `${run.length - keepBefore - keepAfter} unchanged words` });
+        if (keepAfter) segments.push({ type, text: run.slice(run.length - keepAfter).join(' ') });
+      } else {
+        segments.push({ type, text: run.join(' ') });
+      }
+    } else {
+      if (type === 'insert') added += run.length;
+      else removed += run.length;
+      segments.push({ type, text: run.join(' ') });
+    }
+    i = j;
+  }
+
+  return {
+    identical: added === 0 && removed === 0,
+    addedWords: added,
+    removedWords: removed,
+    segments: segments.length > MAX_ITEMS * 2 ? segments.slice(0, MAX_ITEMS * 2) : segments,
+    truncated: segments.length > MAX_ITEMS * 2
+  };
+}
+
+// Structural diff of two outlines: elements added and removed, elements that moved
+// (removed in one place, added with the same signature elsewhere) and changed attributes on
+// links and images that sit in the same place.
+function diffStructure(productionOutline, developmentOutline) {
+  const key = entry => `${entry.depth}|${entry.signature}`;
+  const ops = diffSequences(productionOutline, developmentOutline, (x, y) => key(x) === key(y));
+
+  const removed = ops.filter(op => op.type === 'delete').map(op => op.a);
+  const added = ops.filter(op => op.type === 'insert').map(op => op.b);
+
+  // Same signature removed in one place and added in another: re-ordered, not new
+  const moved = [];
+  const addedBySignature = new Map();
+  added.forEach(entry => {
+    const list = addedBySignature.get(entry.signature) || [];
+    list.push(entry);
+    addedBySignature.set(entry.signature, list);
+  });
+  const stillRemoved = removed.filter(entry => {
+    const candidates = addedBySignature.get(entry.signature);
+    if (candidates && candidates.length) {
+      const match = /** @type {any} */ (candidates.shift());
+      moved.push({ signature: entry.signature, fromDepth: entry.depth, toDepth: match.depth, text: entry.text });
+      match.moved = true;
+      return false;
+    }
+    return true;
+  });
+  const stillAdded = added.filter(entry => !entry.moved);
+
+  const attributeChanges = [];
+  for (const op of ops) {
+    if (op.type !== 'equal' || !op.a.attributes) continue;
+    const names = new Set([...Object.keys(op.a.attributes), ...Object.keys(op.b.attributes || {})]);
+    for (const name of names) {
+      const before = op.a.attributes[name];
+      const after = (op.b.attributes || {})[name];
+      if (before !== after) {
+        attributeChanges.push({
+          tag: op.a.tag,
+          signature: op.a.signature,
+          text: op.a.text,
+          attribute: name,
+          production: before === undefined ? null : before,
+          development: after === undefined ? null : after
+        });
+      }
+    }
+  }
+
+  const describe = entry => ({ signature: entry.signature, depth: entry.depth, text: entry.text });
+  const limit = list => list.slice(0, MAX_ITEMS);
+
+  return {
+    identical: !stillRemoved.length && !stillAdded.length && !moved.length && !attributeChanges.length,
+    productionElements: productionOutline.length,
+    developmentElements: developmentOutline.length,
+    addedCount: stillAdded.length,
+    removedCount: stillRemoved.length,
+    movedCount: moved.length,
+    attributeChangeCount: attributeChanges.length,
+    added: limit(stillAdded.map(describe)),
+    removed: limit(stillRemoved.map(describe)),
+    moved: limit(moved),
+    attributeChanges: limit(attributeChanges)
+  };
+}
+
+// Collector for captureComparison(): reads the DOM outline and visible text of each environment
+// and diffs them
+function domCollector() {
+  return {
+    key: 'dom',
+    collect: page => collectDom(page),
+    compare: (production, development) => ({
+      text: diffText(production.text, development.text),
+      structure: diffStructure(production.outline, development.outline)
+    })
+  };
+}
+
+module.exports = {
+  diffSequences,
+  collectDom,
+  diffText,
+  diffStructure,
+  domCollector
+};
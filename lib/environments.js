@@ -0,0 +1,76 @@
+// @ts-check
+const config = require('../environments.config');
+
+// Strip trailing slashes so page paths ('/communities/') can be appended as-is
+function normalizeBaseUrl(url) {
+  return url.replace(/\/+$/, '');
+}
+
+// Resolve an environment by name ('live', 'test', 'dev'), Pantheon multidev
+// ('multidev:feature-x') or plain base URL ('https://feature-x-revelcomm.pantheonsite.io').
+// ENV_URL_<NAME> overrides (or adds) the base URL of a named environment.
+// 'baseline' stands for the approved screenshots of lib/baselines.js instead of a live site.
+function resolveEnvironment(nameOrUrl) {
+  const value = String(nameOrUrl).trim();
+
+  if (value === 'baseline') {
+    return { name: 'baseline', label: 'Approved baseline', baseUrl: '', role: 'baseline' };
+  }
+
+  if (/^https?:\/\//.test(value)) {
+    const { hostname } = new URL(value);
+    return { name: hostname, label: hostname, baseUrl: normalizeBaseUrl(value), role: 'custom' };
+  }
+
+  if (value.startsWith('multidev:')) {
+    const branch = value.slice('multidev:'.length);
+    if (!branch) {
+      throw new Error(`Missing multidev branch name in "${value}"`);
+    }
+    return {
+      name: branch,
+      label: `Multidev ${branch}`,
+      baseUrl: `https://${branch}-${config.pantheonSite}.pantheonsite.io`,
+      role: 'multidev'
+    };
+  }
+
+  const overrideUrl = process.env[`ENV_URL_${value.toUpperCase().replace(/[^A-Z0-9]/g, '_')}`];
+  const environment = config.environments[value];
+
+  if (!environment && !overrideUrl) {
+    const known = Object.keys(config.environments).join(', ');
+    throw new Error(`Unknown environment "${value}" (known: ${known}, multidev:<branch> or a base URL)`);
+  }
+
+  return {
+    name: value,
+    label: environment ? environment.label : value,
+    baseUrl: normalizeBaseUrl(overrideUrl || environment.baseUrl),
+    role: environment ? environment.role : 'custom'
+  };
+}
+
+// The two environments a run compares: the reference (what the candidate should look like)
+// and the candidate (what is being checked)
+function getEnvironmentPair() {
+  const pair = {
+    reference: resolveEnvironment(process.env.REFERENCE_ENV || config.defaultPair.reference),
+    candidate: resolveEnvironment(process.env.CANDIDATE_ENV || config.defaultPair.candidate)
+  };
+  if (pair.candidate.role === 'baseline') {
+    throw new Error('The approved baseline can only be the reference (REFERENCE_ENV=baseline)');
+  }
+  return pair;
+}
+
+// One-line description of a pair for logs and reports ('Live → Dev')
+function describePair(pair) {
+  return `${pair.reference.label} → ${pair.candidate.label}`;
+}
+
+module.exports = {
+  resolveEnvironment,
+  getEnvironmentPair,
+  describePair
+};
@@ -0,0 +1,387 @@
+// @ts-check
+const { loadPage } = require('./capture');
+
+// Time given to client-side validation after a submit click
+const VALIDATION_WAIT = 1000;
+
+// Time to wait for the intercepted submission and for the success message
+const SUBMISSION_TIMEOUT = 5000;
+const SUCCESS_TIMEOUT = 10000;
+
+// Error elements of the common WordPress form plugins (Contact Form 7, Gravity Forms) and themes
+const ERROR_SELECTOR = [
+  '[role="alert"]',
+  '.wpcf7-not-valid-tip',
+  '.gfield_validation_message',
+  '.validation_message',
+  '.invalid-feedback',
+  '.field-error',
+  '.error'
+].join(', ');
+
+// Reply to an intercepted submission when the form config has none
+const DEFAULT_RESPONSE = { status: 200, contentType: 'application/json', body: JSON.stringify({ success: true }) };
+
+const fieldSelector = name => `[name="${name.replace(/["\\]/g, '\\$&')}"]`;
+
+// First visible form matching the selector, or null
+async function findForm(page, selector) {
+  const form = page.locator(selector).filter({ visible: true }).first();
+  return await form.count() ? form : null;
+}
+
+// Fields a visitor can fill: name, type, required flag, label and the choices of selects,
+// radios and checkboxes. Hidden inputs and invisible honeypot fields are left out.
+async function discoverFields(form) {
+  return form.evaluate(formElement => {
+    const fields = [];
+    const seen = new Set();
+
+    for (const element of /** @type {HTMLFormElement} */ (formElement).elements) {
+      const field = /** @type {HTMLInputElement} */ (element);
+      const name = field.getAttribute('name');
+      if (!name || seen.has(name)) continue;
+
+      const tag = field.tagName.toLowerCase();
+      const type = tag === 'input' ? (field.getAttribute('type') || 'text').toLowerCase() : tag;
+      if (['hidden', 'submit', 'button', 'reset', 'image', 'file'].includes(type)) continue;
+
+      // Custom checkboxes and radios are often visually hidden behind styled labels
+      const rect = field.getBoundingClientRect();
+      const visible = rect.width > 0 && rect.height > 0 && getComputedStyle(field).visibility !== 'hidden';
+      if (!visible && type !== 'checkbox' && type !== 'radio') continue;
+      seen.add(name);
+
+      const container = field.closest('.gfield, .wpcf7-form-control-wrap, .form-group, p, li');
+      const label = (field.id && formElement.querySelector(`label[for="${CSS.escape(field.id)}"]`)) || field.closest('label');
+      const group = [...formElement.querySelectorAll(`[name="${CSS.escape(name)}"]`)];
+
+      fields.push({
+        name,
+        tag,
+        type,
+        required: field.required || field.getAttribute('aria-required') === 'true' ||
+          !!(container && /required/.test(container.className)),
+        label: ((label && label.textContent) || field.getAttribute('placeholder') || field.getAttribute('aria-label') || '')
+          .replace(/\s+/g, ' ').trim().slice(0, 80),
+        min: field.getAttribute('min'),
+        max: field.getAttribute('max'),
+        choices: tag === 'select'
+          ? [...(/** @type {HTMLSelectElement} */ (element)).options].map(option => option.value).filter(Boolean).slice(0, 20)
+          : type === 'radio' || type === 'checkbox'
+            ? group.map(input => /** @type {HTMLInputElement} */ (input).value).slice(0, 20)
+            : null
+      });
+    }
+    return fields;
+  });
+}
+
+function tomorrow() {
+  const date = new Date(Date.now() + 24 * 60 * 60 * 1000);
+  return date.toISOString().slice(0, 10);
+}
+
+// A value the field should accept, by input type and then by name / label
+function validValue(field) {
+  const hint = `${field.name} ${field.label}`.toLowerCase();
+  switch (field.type) {
+    case 'email': return 'visual-test@example.com';
+    case 'tel': return '(555) 555-0123';
+    case 'url': return 'https://example.com';
+    case 'number': return field.min || '1';
+    case 'date': return tomorrow();
+    case 'time': return '10:00';
+    case 'select':
+    case 'radio':
+    case 'checkbox': return field.choices && field.choices.length ? field.choices[0] : null;
+    case 'textarea': return 'Automated form test, please ignore.';
+  }
+  if (/e-?mail/.test(hint)) return 'visual-test@example.com';
+  if (/phone|tel/.test(hint)) return '(555) 555-0123';
+  if (/zip|postal/.test(hint)) return '78701';
+  if (/first/.test(hint)) return 'Visual';
+  if (/last/.test(hint)) return 'Tester';
+  if (/name/.test(hint)) return 'Visual Tester';
+  return 'Automated test';
+}
+
+// A value the field should reject, or null when its type has no invalid text
+function invalidValue(field) {
+  const hint = `${field.name} ${field.label}`.toLowerCase();
+  if (field.type === 'email' || (field.type === 'text' && /e-?mail/.test(hint))) return 'not-an-email';
+  if (field.type === 'url') return 'not a url';
+  if (field.type === 'number' && field.max) return String(Number(field.max) + 1);
+  return null;
+}
+
+// Fill every field with the value `valueFor` picks. Optional checkboxes stay unchecked.
+// Returns the values that were entered, by field name.
+async function fillForm(form, fields, valueFor) {
+  const values = {};
+  for (const field of fields) {
+    const value = valueFor(field);
+    if (value === null || (field.type === 'checkbox' && !field.required)) continue;
+
+    const locator = form.locator(fieldSelector(field.name));
+    if (field.type === 'select') {
+      await locator.first().selectOption(value);
+    } else if (field.type === 'radio' || field.type === 'checkbox') {
+      await form.locator(`${fieldSelector(field.name)}[value="${value.replace(/["\\]/g, '\\$&')}"]`).first().check({ force: true });
+    } else {
+      await locator.first().fill(value);
+    }
+    values[field.name] = value;
+  }
+  return values;
+}
+
+// Which fields show a validation error: native constraint validation, aria-invalid or a
+// visible error element next to the field
+async function readValidation(form, fields) {
+  return form.evaluate((formElement, { names, errorSelector }) => names.map(name => {
+    const field = /** @type {HTMLInputElement | undefined} */ (
+      [.../** @type {HTMLFormElement} */ (formElement).elements].find(element => element.getAttribute('name') === name));
+    if (!field) return { name, flagged: false, message: '' };
+
+    const container = field.closest('.gfield, .wpcf7-form-control-wrap, .form-group, p, li');
+    const errorElement = container && [...container.querySelectorAll(errorSelector)]
+      .find(element => /** @type {HTMLElement} */ (element).offsetParent !== null && (element.textContent || '').trim());
+    const invalid = field.validity && !field.validity.valid;
+
+    return {
+      name,
+      flagged: !!invalid || field.getAttribute('aria-invalid') === 'true' || !!errorElement,
+      message: (errorElement ? (errorElement.textContent || '').trim() : invalid ? field.validationMessage : '').slice(0, 200)
+    };
+  }), { names: fields.map(field => field.name), errorSelector: ERROR_SELECTOR });
+}
+
+// Intercept every request but GET / HEAD / OPTIONS from the page, so nothing a form sends
+// reaches the server. GET requests to the form's action URL that carry a field of the form
+// in their query are GET-method submissions and are intercepted too. Submissions are the
+// intercepted requests carrying a field of the form; the query string is the body of GETs.
+async function interceptSubmissions(page, fields, response = DEFAULT_RESPONSE, action = null) {
+  const requests = [];
+  const actionUrl = action ? new URL(action) : null;
+  const carriesField = body => fields.some(field =>
+    body.includes(`name="${field.name}"`) ||
+    body.includes(`${encodeURIComponent(field.name)}=`) ||
+    body.includes(`"${field.name}"`));
+  const isGetSubmission = url => {
+    const requestUrl = new URL(url);
+    return !!actionUrl && requestUrl.origin === actionUrl.origin && requestUrl.pathname === actionUrl.pathname &&
+      carriesField(requestUrl.search.slice(1));
+  };
+
+  const handler = async route => {
+    const request = route.request();
+    const method = request.method();
+    const getSubmission = method === 'GET' && isGetSubmission(request.url());
+    if (['GET', 'HEAD', 'OPTIONS'].includes(method) && !getSubmission) {
+      await route.fallback();
+      return;
+    }
+    const body = getSubmission ? new URL(request.url()).search.slice(1) : request.postData() || '';
+    requests.push({ url: request.url(), method, body });
+    await route.fulfill(response);
+  };
+  await page.route('**/*', handler);
+
+  const isSubmission = request => carriesField(request.body);
+
+  return {
+    mark: () => requests.length,
+    submissionsSince: mark => requests.slice(mark).filter(isSubmission),
+    stop: () => page.unroute('**/*', handler)
+  };
+}
+
+function payloadIncludes(body, value) {
+  return body.includes(value) ||
+    body.includes(encodeURIComponent(value)) ||
+    body.includes(encodeURIComponent(value).replace(/%20/g, '+')) ||
+    body.includes(JSON.stringify(value).slice(1, -1));
+}
+
+// Click submit, give validation a moment and read which fields it flagged
+async function submitAndRead(page, form, fields, interceptor) {
+  const mark = interceptor.mark();
+  await form.locator('[type="submit"], button:not([type])').first().click();
+  await page.waitForTimeout(VALIDATION_WAIT);
+  const validation = await readValidation(form, fields);
+
+  return {
+    submitted: interceptor.submissionsSince(mark).length > 0,
+    flagged: validation.filter(entry => entry.flagged).map(entry => entry.name),
+    messages: Object.fromEntries(validation.filter(entry => entry.message).map(entry => [entry.name, entry.message]))
+  };
+}
+
+async function countVisibleText(page, text) {
+  return page.getByText(text).filter({ visible: true }).count();
+}
+
+// Exercise one form on one environment:
+//   1. submit it empty: the required fields should be flagged and nothing sent
+//   2. submit it with invalid values (e-mail, URL, number bounds): those should be flagged
+//   3. submit it with valid values: the submission is intercepted, its payload checked for
+//      every value, and the success message awaited
+// The page is reloaded before steps 2 and 3. When the form doesn't show up again, the run
+// stops there and `lostOnReload` names the step.
+async function exerciseForm(page, url, formConfig, loadOptions = {}) {
+  const result = { url, found: false, lostOnReload: null, fields: [], emptySubmit: null, invalidSubmit: null, validSubmit: null };
+
+  await loadPage(page, url, loadOptions);
+  let form = await findForm(page, formConfig.selector);
+  if (!form) {
+    return result;
+  }
+  result.found = true;
+  result.fields = await discoverFields(form);
+  const fields = result.fields;
+  const action = await form.evaluate(formElement => /** @type {HTMLFormElement} */ (formElement).action || null);
+
+  const interceptor = await interceptSubmissions(page, fields, formConfig.response, action);
+  try {
+    result.emptySubmit = await submitAndRead(page, form, fields, interceptor);
+
+    const invalidFields = fields.filter(field => invalidValue(field) !== null);
+    if (invalidFields.length) {
+      await loadPage(page, url, loadOptions);
+      form = await findForm(page, formConfig.selector);
+      if (!form) {
+        result.lostOnReload = 'invalid submit';
+        return result;
+      }
+      await fillForm(form, fields, field => invalidValue(field) ?? validValue(field));
+      result.invalidSubmit = {
+        fields: invalidFields.map(field => field.name),
+        ...await submitAndRead(page, form, fields, interceptor)
+      };
+    }
+
+    await loadPage(page, url, loadOptions);
+    form = await findForm(page, formConfig.selector);
+    if (!form) {
+      result.lostOnReload = 'valid submit';
+      return result;
+    }
+    const values = await fillForm(form, fields, validValue);
+    const successBefore = formConfig.successText ? await countVisibleText(page, formConfig.successText) : 0;
+    const mark = interceptor.mark();
+    await form.locator('[type="submit"], button:not([type])').first().click();
+
+    const deadline = Date.now() + SUBMISSION_TIMEOUT;
+    while (!interceptor.submissionsSince(mark).length && Date.now() < deadline) {
+      await page.waitForTimeout(250);
+    }
+    const submission = interceptor.submissionsSince(mark)[0] || null;
+
+    let success = null;
+    if (formConfig.successText) {
+      success = false;
+      const successDeadline = Date.now() + SUCCESS_TIMEOUT;
+      while (!success && Date.now() < successDeadline) {
+        success = await countVisibleText(page, formConfig.successText) > successBefore;
+        if (!success) await page.waitForTimeout(250);
+      }
+    }
+
+    result.validSubmit = {
+      values,
+      submitted: !!submission,
+      endpoint: submission ? new URL(submission.url).pathname : null,
+      method: submission ? submission.method : null,
+      missingValues: submission
+        ? Object.entries(values).filter(([, value]) => !payloadIncludes(submission.body, value)).map(([name]) => name)
+        : Object.keys(values),
+      success
+    };
+  } finally {
+    await interceptor.stop();
+  }
+
+  return result;
+}
+
+// Problems of one environment's run, as readable lines
+function formProblems(result) {
+  if (!result.found) {
+    return ['form not found'];
+  }
+
+  const problems = [];
+  const required = result.fields.filter(field => field.required).map(field => field.name);
+  const notFlagged = required.filter(name => !result.emptySubmit.flagged.includes(name));
+  if (notFlagged.length) problems.push(`empty submit: required fields not flagged: ${notFlagged.join(', ')}`);
+  if (result.emptySubmit.submitted) problems.push('empty submit: the form was sent');
+
+  if (result.invalidSubmit) {
+    const accepted = result.invalidSubmit.fields.filter(name => !result.invalidSubmit.flagged.includes(name));
+    if (accepted.length) problems.push(`invalid submit: invalid values accepted in ${accepted.join(', ')}`);
+    if (result.invalidSubmit.submitted) problems.push('invalid submit: the form was sent');
+  }
+
+  if (result.lostOnReload) {
+    problems.push(`${result.lostOnReload}: form not found after reloading the page`);
+    return problems;
+  }
+
+  const { validSubmit } = result;
+  if (!validSubmit.submitted) problems.push('valid submit: nothing was sent');
+  else if (validSubmit.missingValues.length) problems.push(`valid submit: payload misses ${validSubmit.missingValues.join(', ')}`);
+  if (validSubmit.success === false) problems.push('valid submit: no success message');
+  return problems;
+}
+
+// What differs between the two environments' runs of a form, as readable lines
+function compareFormResults(production, development, environments) {
+  const reference = environments.reference.label;
+  const candidate = environments.candidate.label;
+  if (!production.found || !development.found) {
+    return production.found === development.found ? [] : [`form only found on ${production.found ? reference : candidate}`];
+  }
+
+  const differences = [];
+  const describeField = field => `${field.name} (${field.type}${field.required ? ', required' : ''})`;
+  const productionFields = production.fields.map(describeField);
+  const developmentFields = development.fields.map(describeField);
+  productionFields.filter(field => !developmentFields.includes(field)).forEach(field => differences.push(`field ${field} only on ${reference}`));
+  developmentFields.filter(field => !productionFields.includes(field)).forEach(field => differences.push(`field ${field} only on ${candidate}`));
+
+  const compareList = (label, a, b) => {
+    if ((a || []).join(',') !== (b || []).join(',')) {
+      differences.push(`${label}: ${(a || []).join(', ') || 'none'} on ${reference}, ${(b || []).join(', ') || 'none'} on ${candidate}`);
+    }
+  };
+  compareList('flagged on empty submit', production.emptySubmit.flagged, development.emptySubmit.flagged);
+  compareList('flagged on invalid submit', production.invalidSubmit && production.invalidSubmit.flagged,
+    development.invalidSubmit && development.invalidSubmit.flagged);
+
+  if (production.lostOnReload || development.lostOnReload) {
+    if (production.lostOnReload !== development.lostOnReload) {
+      differences.push(`form lost on reload before the ${production.lostOnReload || development.lostOnReload} on ${production.lostOnReload ? reference : candidate}`);
+    }
+    return differences;
+  }
+
+  const { validSubmit: a } = production;
+  const { validSubmit: b } = development;
+  if (a.endpoint !== b.endpoint) differences.push(`sent to ${a.endpoint || 'nothing'} on ${reference}, ${b.endpoint || 'nothing'} on ${candidate}`);
+  if (a.success !== b.success) differences.push(`success message ${a.success ? 'shown' : 'missing'} on ${reference}, ${b.success ? 'shown' : 'missing'} on ${candidate}`);
+  return differences;
+}
+
+module.exports = {
+  findForm,
+  discoverFields,
+  validValue,
+  invalidValue,
+  fillForm,
+  readValidation,
+  interceptSubmissions,
+  exerciseForm,
+  formProblems,
+  compareFormResults
+};
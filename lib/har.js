@@ -0,0 +1,65 @@
+// @ts-check
+const fsSync = require('fs');
+const path = require('path');
+
+// HAR_MODE=record saves the traffic of every captured page into a HAR archive,
+// HAR_MODE=replay serves the pages from those archives without touching the network.
+// Unset means the environments are tested live.
+const HAR_MODES = ['record', 'replay'];
+const HAR_MODE = (process.env.HAR_MODE || '').trim().toLowerCase();
+
+// Archives live outside the screenshots directory so cleaning test results keeps them
+const HAR_DIR = process.env.HAR_DIR || path.join(__dirname, '..', 'hars');
+
+if (HAR_MODE && !HAR_MODES.includes(HAR_MODE)) {
+  throw new Error(`Unknown HAR_MODE "${HAR_MODE}" (known: ${HAR_MODES.join(', ')})`);
+}
+
+// Archive of one capture ('chromium/desktop-homepage'). Both environments of the capture share
+// it; their requests are told apart by host. Zipped so responses are stored with it; a plain
+// `.har` with inline responses (the hand-written fixtures of tests/replay) is used when present.
+function harPath(name) {
+  const plainFile = path.join(HAR_DIR, `${name}.har`);
+  return fsSync.existsSync(plainFile) ? plainFile : path.join(HAR_DIR, `${name}.har.zip`);
+}
+
+// Route a page through the HAR archive of a capture, depending on HAR_MODE.
+// `record: false` leaves the page live while recording, for tests that load the same pages
+// as another test and would overwrite its archive.
+// Returns the mode in effect: 'record', 'replay' or 'live'.
+async function routePageFromHar(page, name, { record = true } = {}) {
+  const harFile = harPath(name);
+
+  if (HAR_MODE === 'record' && record) {
+    fsSync.mkdirSync(path.dirname(harFile), { recursive: true });
+    // Written when the test's browser context closes
+    await page.routeFromHAR(harFile, { update: true, updateMode: 'minimal' });
+    return 'record';
+  }
+
+  if (HAR_MODE === 'replay') {
+    if (!fsSync.existsSync(harFile)) {
+      throw new Error(`No HAR archive for ${name} (${harFile}); record one with HAR_MODE=record`);
+    }
+    // Requests that were not recorded fail instead of reaching the network
+    await page.routeFromHAR(harFile, { notFound: 'abort' });
+    return 'replay';
+  }
+
+  return 'live';
+}
+
+// Header line for reports of recorded or replayed runs
+function describeHarMode() {
+  if (HAR_MODE === 'record') return `Network: recorded into HAR archives (${HAR_DIR})`;
+  if (HAR_MODE === 'replay') return `Network: replayed from HAR archives (${HAR_DIR})`;
+  return null;
+}
+
+module.exports = {
+  HAR_MODE,
+  HAR_DIR,
+  harPath,
+  routePageFromHar,
+  describeHarMode
+};
@@ -0,0 +1,53 @@
+// @ts-check
+const { patternToRegExp } = require('./sitemap');
+const config = require('../interactions.config');
+
+// Longest wait for the element of a selector step
+const STEP_TIMEOUT = 5000;
+
+const STEP_ACTIONS = ['click', 'hover', 'focus', 'press', 'waitFor', 'wait'];
+
+// Scenarios of interactions.config.js (plus the suite's own) that run on a page at a viewport:
+//   [{ name, steps }]
+function resolveInteractions(pageUrl, device, suiteScenarios = {}) {
+  return Object.entries({ ...config, ...suiteScenarios })
+    .filter(([, scenario]) => scenario.pages.some(pattern => patternToRegExp(pattern).test(pageUrl)))
+    .filter(([, scenario]) => !scenario.viewports || scenario.viewports.includes(device))
+    .map(([name, scenario]) => ({ name, steps: scenario.steps }));
+}
+
+// Run the steps of a scenario on a loaded page
+async function runInteraction(page, { name, steps }) {
+  for (const [index, step] of steps.entries()) {
+    const action = STEP_ACTIONS.find(key => key in step);
+    const where = `step ${index + 1} of interaction "${name}"`;
+    if (!action) {
+      throw new Error(`Unknown ${where}: ${JSON.stringify(step)} (actions: ${STEP_ACTIONS.join(', ')})`);
+    }
+
+    if (action === 'wait') {
+      await page.waitForTimeout(step.wait);
+    } else if (action === 'press') {
+      await page.keyboard.press(step.press);
+    } else {
+      const element = page.locator(step[action]).filter({ visible: true }).first();
+      try {
+        if (action === 'waitFor') await element.waitFor({ state: 'visible', timeout: STEP_TIMEOUT });
+        else await element[action]({ timeout: STEP_TIMEOUT });
+      } catch (error) {
+        throw new Error(`${where} failed: no visible ${step[action]} to ${action} (${error.message.split('\n')[0]})`);
+      }
+    }
+  }
+}
+
+// Page-preparation step (see lib/capture.js) that puts the page into the scenario's state
+function interactionStep(scenario) {
+  return page => runInteraction(page, scenario);
+}
+
+module.exports = {
+  resolveInteractions,
+  runInteraction,
+  interactionStep
+};
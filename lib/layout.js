@@ -0,0 +1,191 @@
+// @ts-check
+const config = require('../layout.config');
+
+// Layout problem kinds in report order, with their labels
+const LAYOUT_CHECKS = {
+  'horizontal-overflow': 'Page scrolls horizontally',
+  'off-viewport': 'Sticks out past the viewport',
+  'clipped-text': 'Text clipped',
+  'fixed-overlap': 'Fixed elements overlap',
+  'tap-target': 'Tap target too small',
+  'upscaled-image': 'Image upscaled'
+};
+
+// Elements listed per check and page
+const MAX_PER_CHECK = 50;
+
+// Find the layout problems of the loaded page. Touch checks (tap targets, upscaled images)
+// only run when `touch` is set.
+async function checkLayout(page, { touch }) {
+  return page.evaluate(({ touch, minTapTarget, maxImageUpscale, ignore, maxPerCheck }) => {
+    const viewportWidth = document.documentElement.clientWidth;
+    const problems = [];
+    const counts = {};
+
+    // Short CSS path: up to three ancestors, stopping at an id
+    const selectorOf = element => {
+      const parts = [];
+      for (let node = element; node && node !== document.body && parts.length < 4; node = node.parentElement) {
+        if (node.id) {
+          parts.unshift(`#${CSS.escape(node.id)}`);
+          break;
+        }
+        const classes = [...node.classList].slice(0, 2).map(name => `.${CSS.escape(name)}`).join('');
+        parts.unshift(`${node.tagName.toLowerCase()}${classes}`);
+      }
+      return parts.join(' > ');
+    };
+
+    const add = (check, element, detail) => {
+      counts[check] = (counts[check] || 0) + 1;
+      if (counts[check] > maxPerCheck) return;
+      const rect = element.getBoundingClientRect();
+      problems.push({
+        check,
+        selector: selectorOf(element),
+        text: (element.textContent || element.getAttribute('alt') || '').replace(/\s+/g, ' ').trim().slice(0, 80),
+        rect: { x: Math.round(rect.x), y: Math.round(rect.y + window.scrollY), width: Math.round(rect.width), height: Math.round(rect.height) },
+        detail
+      });
+    };
+
+    const isIgnored = element => ignore.some(selector => element.closest(selector));
+    const isVisible = element => {
+      const style = getComputedStyle(element);
+      const rect = element.getBoundingClientRect();
+      return rect.width > 1 && rect.height > 1 && style.visibility !== 'hidden' && style.opacity !== '0';
+    };
+    const elements = [...document.body.querySelectorAll('*')]
+      .filter(element => !['SCRIPT', 'STYLE', 'NOSCRIPT', 'BR'].includes(element.tagName));
+
+    // Elements clipped by an ancestor that hides its overflow can't make the page scroll
+    const clippedByAncestor = element => {
+      for (let node = element.parentElement; node && node !== document.body; node = node.parentElement) {
+        const overflowX = getComputedStyle(node).overflowX;
+        if (overflowX !== 'visible') return true;
+      }
+      return false;
+    };
+
+    if (document.documentElement.scrollWidth > viewportWidth + 1) {
+      add('horizontal-overflow', document.documentElement, `${document.documentElement.scrollWidth}px wide in a ${viewportWidth}px viewport`);
+    }
+
+    const offViewport = new Set();
+    for (const element of elements) {
+      if (isIgnored(element) || !isVisible(element)) continue;
+      const rect = element.getBoundingClientRect();
+      if ((rect.right > viewportWidth + 1 || rect.left < -1) && !clippedByAncestor(element)) {
+        offViewport.add(element);
+        // Only the outermost element sticking out is listed, not all of its children
+        if (!offViewport.has(element.parentElement)) {
+          add('off-viewport', element, `spans ${Math.round(rect.left)}px to ${Math.round(rect.right)}px of ${viewportWidth}px`);
+        }
+      }
+
+      const style = getComputedStyle(element);
+      const hasText = [...element.childNodes].some(node => node.nodeType === Node.TEXT_NODE && (node.textContent || '').trim());
+      if (hasText && ['hidden', 'clip'].includes(style.overflowY) && style.webkitLineClamp === 'none' &&
+          element.scrollHeight > element.clientHeight + 2) {
+        add('clipped-text', element, `${element.scrollHeight}px of text in ${element.clientHeight}px`);
+      }
+    }
+
+    const fixed = elements.filter(element => !isIgnored(element) && isVisible(element) &&
+      ['fixed', 'sticky'].includes(getComputedStyle(element).position));
+    fixed.forEach((element, index) => {
+      const a = element.getBoundingClientRect();
+      for (const other of fixed.slice(index + 1)) {
+        if (element.contains(other) || other.contains(element)) continue;
+        const b = other.getBoundingClientRect();
+        const overlapWidth = Math.min(a.right, b.right) - Math.max(a.left, b.left);
+        const overlapHeight = Math.min(a.bottom, b.bottom) - Math.max(a.top, b.top);
+        if (overlapWidth > 1 && overlapHeight > 1) {
+          add('fixed-overlap', element, `overlaps ${selectorOf(other)} by ${Math.round(overlapWidth)}×${Math.round(overlapHeight)}px`);
+        }
+      }
+    });
+
+    if (touch) {
+      const targets = document.body.querySelectorAll('a[href], button, input:not([type="hidden"]), select, textarea, [role="button"], [onclick]');
+      for (const element of targets) {
+        if (isIgnored(element) || !isVisible(element)) continue;
+        // Links inside a sentence are exempt (WCAG 2.5.8)
+        const parent = element.parentElement;
+        if (element.tagName === 'A' && parent && ['P', 'LI', 'SPAN', 'TD'].includes(parent.tagName) &&
+            (parent.textContent || '').trim().length > (element.textContent || '').trim().length + 20) continue;
+        const rect = element.getBoundingClientRect();
+        if (rect.width < minTapTarget || rect.height < minTapTarget) {
+          add('tap-target', element, `${Math.round(rect.width)}×${Math.round(rect.height)}px, at least ${minTapTarget}×${minTapTarget}px`);
+        }
+      }
+
+      for (const image of document.images) {
+        if (isIgnored(image) || !isVisible(image) || !image.naturalWidth || image.currentSrc.endsWith('.svg')) continue;
+        const rect = image.getBoundingClientRect();
+        if (rect.width > image.naturalWidth * maxImageUpscale) {
+          add('upscaled-image', image, `${image.naturalWidth}px image shown ${Math.round(rect.width)}px wide`);
+        }
+      }
+    }
+
+    return { problems, counts };
+  }, {
+    touch,
+    minTapTarget: config.minTapTarget,
+    maxImageUpscale: config.maxImageUpscale,
+    ignore: config.ignore,
+    maxPerCheck: MAX_PER_CHECK
+  });
+}
+
+const problemKey = problem => `${problem.check}|${problem.selector}`;
+
+const byCheck = (a, b) => Object.keys(LAYOUT_CHECKS).indexOf(a.check) - Object.keys(LAYOUT_CHECKS).indexOf(b.check) ||
+  a.selector.localeCompare(b.selector);
+
+// Diff the layout problems of both environments by check and element
+function compareLayout(production, development) {
+  const productionKeys = new Set(production.problems.map(problemKey));
+  const developmentKeys = new Set(development.problems.map(problemKey));
+  const added = development.problems.filter(problem => !productionKeys.has(problemKey(problem))).sort(byCheck);
+  const fixed = production.problems.filter(problem => !developmentKeys.has(problemKey(problem))).sort(byCheck);
+
+  return {
+    identical: !added.length && !fixed.length,
+    touch: development.touch,
+    productionCount: production.problems.length,
+    developmentCount: development.problems.length,
+    productionChecks: production.counts,
+    developmentChecks: development.counts,
+    newCount: added.length,
+    fixedCount: fixed.length,
+    newProblems: added,
+    fixedProblems: fixed,
+    shared: development.problems.filter(problem => productionKeys.has(problemKey(problem))).sort(byCheck)
+  };
+}
+
+// One-line description for logs and assertion messages
+function describeLayoutProblem(problem) {
+  return `${LAYOUT_CHECKS[problem.check]}: ${problem.selector} (${problem.detail})`;
+}
+
+// Collector for captureComparison(): checks the layout of each environment at the viewport
+// the page was captured at. `device` decides whether the touch checks run.
+function layoutCollector(device) {
+  const touch = config.touchViewports.includes(device);
+  return {
+    key: 'layout',
+    collect: async page => ({ touch, ...await checkLayout(page, { touch }) }),
+    compare: compareLayout
+  };
+}
+
+module.exports = {
+  LAYOUT_CHECKS,
+  checkLayout,
+  compareLayout,
+  describeLayoutProblem,
+  layoutCollector
+};
@@ -0,0 +1,249 @@
+// @ts-check
+const axios = require('axios');
+const config = require('../links.config');
+const environmentsConfig = require('../environments.config');
+
+const REQUEST_TIMEOUT = 30000;
+
+// Crawl depth; LINK_DEPTH=0 only checks the links on the tested pages
+const LINK_DEPTH = process.env.LINK_DEPTH ? parseInt(process.env.LINK_DEPTH, 10) : config.depth;
+
+// Link problems in report order, with their labels
+const LINK_PROBLEMS = {
+  'missing-in-candidate': 'Works on the reference, broken here',
+  broken: 'Broken',
+  'redirect-loop': 'Redirect loop',
+  'wrong-host': "Points at another environment's host"
+};
+
+// A site answers on its apex and its www host alike (revelcommunities.com and
+// www.revelcommunities.com), so hosts are compared without the `www.`
+const siteHost = host => host.replace(/^www\./, '');
+const isSameSite = (a, b) => siteHost(a) === siteHost(b);
+
+// Same page, whether on the apex or the www host of a site
+function isSameUrl(a, b) {
+  const urlA = new URL(a);
+  const urlB = new URL(b);
+  return isSameSite(urlA.host, urlB.host) && urlA.protocol === urlB.protocol &&
+    `${urlA.pathname}${urlA.search}` === `${urlB.pathname}${urlB.search}`;
+}
+
+// A redirect that only moves between the apex and the www host of a site
+const isHostRedirect = (from, to) => isSameUrl(from, to) && new URL(from).host !== new URL(to).host;
+
+// Hosts of the environments in environments.config.js plus every Pantheon host; a link to
+// one of them that isn't the crawled environment's own host is a hard-coded environment URL
+const ENVIRONMENT_HOSTS = Object.values(environmentsConfig.environments).map(environment => siteHost(new URL(environment.baseUrl).host));
+const isEnvironmentHost = host => ENVIRONMENT_HOSTS.includes(siteHost(host)) || /\.pantheonsite\.io$/.test(host);
+
+function isIgnored(url) {
+  return config.ignore.some(pattern => (typeof pattern === 'string' ? url.includes(pattern) : pattern.test(url)));
+}
+
+// Absolute URLs of the <a href> links of an HTML document, without fragments; mailto:, tel:
+// and javascript: links are left out
+function extractLinks(html, pageUrl) {
+  const links = new Set();
+  for (const [, href] of html.matchAll(/<a\s[^>]*?href=["']([^"']+)["']/gi)) {
+    let url;
+    try {
+      url = new URL(href.replace(/&amp;/g, '&').trim(), pageUrl);
+    } catch (error) {
+      continue;
+    }
+    if (!['http:', 'https:'].includes(url.protocol)) continue;
+    url.hash = '';
+    links.add(url.href);
+  }
+  return [...links];
+}
+
+// Request a URL and follow its redirects one by one:
+//   { status, chain: [{ url, status }], finalUrl, loop, error, html }
+// `html` is the body of the final response when it is an HTML page.
+async function resolveChain(url) {
+  const chain = [];
+  let current = url;
+
+  for (let hop = 0; hop <= config.maxRedirects; hop++) {
+    if (chain.some(entry => entry.url === current)) {
+      return { status: null, chain, finalUrl: current, loop: true, error: null, html: null };
+    }
+
+    let response;
+    try {
+      response = await axios.get(current, {
+        timeout: REQUEST_TIMEOUT,
+        maxRedirects: 0,
+        responseType: 'text',
+        validateStatus: () => true,
+        headers: { Accept: 'text/html,*/*;q=0.8' }
+      });
+    } catch (error) {
+      return { status: null, chain, finalUrl: current, loop: false, error: error.code || error.message, html: null };
+    }
+
+    chain.push({ url: current, status: response.status });
+    const location = response.headers.location;
+    if (response.status >= 300 && response.status < 400 && location) {
+      current = new URL(location, current).href;
+      continue;
+    }
+
+    const isHtml = String(response.headers['content-type'] || '').includes('text/html');
+    return { status: response.status, chain, finalUrl: current, loop: false, error: null, html: isHtml ? String(response.data) : null };
+  }
+
+  // Too many hops counts as a loop too
+  return { status: null, chain, finalUrl: current, loop: true, error: null, html: null };
+}
+
+// Path of a URL on the crawled environment, or the full URL for other hosts
+function toLinkPath(url, host) {
+  const parsed = new URL(url);
+  return isSameSite(parsed.host, host) ? `${parsed.pathname}${parsed.search}` : url;
+}
+
+// Problem of a checked link on an environment, or null
+function linkProblem(check, host) {
+  const finalHost = new URL(check.finalUrl).host;
+  if (check.loop) return { problem: 'redirect-loop', detail: check.chain.map(entry => toLinkPath(entry.url, host)).join(' → ') };
+  if (check.error) return { problem: 'broken', detail: check.error };
+  if (check.status >= 400) return { problem: 'broken', detail: `HTTP ${check.status}` };
+  if (!isSameSite(finalHost, host) && isEnvironmentHost(finalHost)) return { problem: 'wrong-host', detail: check.finalUrl };
+  return null;
+}
+
+// Why a page to crawl yields no links, or null when it can be crawled
+function skipReason(page, host) {
+  if (page.error) return `request failed: ${page.error}`;
+  if (page.loop) return 'redirect loop';
+  if (!isSameSite(new URL(page.finalUrl).host, host)) return `redirects off-site to ${page.finalUrl}`;
+  if (!page.html) return `not an HTML page (HTTP ${page.status})`;
+  return null;
+}
+
+// Crawl an environment from its tested pages: every link on a crawled page is checked, and
+// internal HTML pages are crawled in turn up to LINK_DEPTH links deep. The apex and www hosts
+// of the environment both count as its own. Returns
+//   { pages: { [sourcePath]: [{ path, status, chain, finalUrl, internal, problem, detail }] },
+//     skipped: [{ path, reason }], checked, crawled }
+async function crawlEnvironment(baseUrl, startPages) {
+  const { host } = new URL(baseUrl);
+  const checks = new Map();
+  const check = async url => {
+    if (!checks.has(url)) checks.set(url, resolveChain(url));
+    return checks.get(url);
+  };
+
+  const pages = {};
+  const skipped = [];
+  const queue = startPages.map(pagePath => ({ url: new URL(pagePath, baseUrl).href, depth: 0 }));
+  const queued = new Set(queue.map(entry => entry.url));
+
+  while (queue.length && Object.keys(pages).length < config.maxPages) {
+    const { url, depth } = /** @type {{ url: string, depth: number }} */ (queue.shift());
+    const page = await check(url);
+    const reason = skipReason(page, host);
+    if (reason) {
+      skipped.push({ path: toLinkPath(url, host), reason });
+      continue;
+    }
+
+    const links = [];
+    for (const link of extractLinks(page.html, page.finalUrl)) {
+      const linkHost = new URL(link).host;
+      const internal = isSameSite(linkHost, host);
+      const otherEnvironment = !internal && isEnvironmentHost(linkHost);
+      if (isIgnored(link) || (!internal && !otherEnvironment && !config.checkExternal)) continue;
+
+      const result = await check(link);
+      links.push({
+        path: toLinkPath(link, host),
+        status: result.status,
+        chain: result.chain.map(entry => ({ ...entry, url: toLinkPath(entry.url, host) })),
+        finalUrl: toLinkPath(result.finalUrl, host),
+        internal,
+        // A link straight to another environment is wrong even when it works
+        ...(otherEnvironment ? { problem: 'wrong-host', detail: link } : linkProblem(result, host) || { problem: null, detail: null })
+      });
+
+      if (internal && depth < LINK_DEPTH && result.html && !queued.has(result.finalUrl)) {
+        queued.add(result.finalUrl);
+        queue.push({ url: result.finalUrl, depth: depth + 1 });
+      }
+    }
+    pages[toLinkPath(page.finalUrl, host)] = links;
+  }
+
+  return { pages, skipped, checked: checks.size, crawled: Object.keys(pages).length };
+}
+
+const problemKey = (source, link) => `${source}|${link.path}|${link.problem}`;
+
+// Problems of the candidate crawl grouped by source page, with those the reference crawl
+// doesn't have marked as new. Internal links that resolve on the reference but are broken on
+// the candidate become 'missing-in-candidate'.
+function compareCrawls(production, development) {
+  const productionStatus = new Map();
+  const productionProblems = new Set();
+  if (production) {
+    for (const [source, links] of Object.entries(production.pages)) {
+      for (const link of links) {
+        if (link.internal) productionStatus.set(link.path, link.status);
+        if (link.problem) productionProblems.add(problemKey(source, link));
+      }
+    }
+  }
+
+  const order = Object.keys(LINK_PROBLEMS);
+  const bySource = [];
+  for (const [source, links] of Object.entries(development.pages)) {
+    const problems = links
+      .filter(link => link.problem)
+      .map(link => {
+        const referenceStatus = productionStatus.get(link.path);
+        const regression = link.internal && link.problem === 'broken' && referenceStatus && referenceStatus < 400;
+        return {
+          ...link,
+          problem: regression ? 'missing-in-candidate' : link.problem,
+          detail: regression ? `${link.detail}, ${referenceStatus} on the reference` : link.detail,
+          isNew: !production || regression || !productionProblems.has(problemKey(source, link))
+        };
+      })
+      .sort((a, b) => order.indexOf(a.problem) - order.indexOf(b.problem) || a.path.localeCompare(b.path));
+    if (problems.length) {
+      bySource.push({ source, problems });
+    }
+  }
+
+  const all = bySource.flatMap(entry => entry.problems);
+  const counts = {};
+  all.forEach(link => { counts[link.problem] = (counts[link.problem] || 0) + 1; });
+  return {
+    bySource,
+    counts,
+    problemCount: all.length,
+    newCount: all.filter(link => link.isNew).length
+  };
+}
+
+// One-line description for logs and assertion messages
+function describeLinkProblem(source, link) {
+  return `${source} → ${link.path}: ${LINK_PROBLEMS[link.problem]} (${link.detail})`;
+}
+
+module.exports = {
+  LINK_DEPTH,
+  LINK_PROBLEMS,
+  isSameSite,
+  isSameUrl,
+  isHostRedirect,
+  isEnvironmentHost,
+  extractLinks,
+  resolveChain,
+  crawlEnvironment,
+  compareCrawls,
+  describeLinkProblem
+};
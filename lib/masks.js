@@ -0,0 +1,147 @@
+// @ts-check
+const config = require('../masks.config');
+const { patternToRegExp } = require('./sitemap');
+
+// Color of masked boxes and ignored regions in the screenshots
+const MASK_COLOR = '#FF00FF';
+
+// Empty rule set, also the shape every resolved rule set has
+function emptyRules() {
+  return { hide: [], mask: [], freeze: [], ignoreRegions: [] };
+}
+
+// Append the rules of `source` to `target`
+function mergeRules(target, source = {}) {
+  for (const key of Object.keys(target)) {
+    target[key].push(...(source[key] || []));
+  }
+  return target;
+}
+
+// All rules for one page on one device: global rules, every matching page pattern and the
+// suite's own rules. Ignore regions limited to other devices are dropped.
+function resolveMaskRules(pageUrl, device, suiteRules = {}) {
+  const rules = mergeRules(emptyRules(), config.global);
+
+  for (const [pattern, pageRules] of Object.entries(config.pages || {})) {
+    if (patternToRegExp(pattern).test(pageUrl)) {
+      mergeRules(rules, pageRules);
+    }
+  }
+
+  mergeRules(rules, suiteRules.global);
+  for (const [pattern, pageRules] of Object.entries(suiteRules.pages || {})) {
+    if (patternToRegExp(pattern).test(pageUrl)) {
+      mergeRules(rules, pageRules);
+    }
+  }
+
+  rules.ignoreRegions = rules.ignoreRegions
+    .filter(region => !region.devices || region.devices.includes(device))
+    .map(({ x, y, width, height }) => ({ x, y, width, height }));
+
+  for (const key of ['hide', 'mask', 'freeze']) {
+    rules[key] = [...new Set(rules[key])];
+  }
+  return rules;
+}
+
+// Hide and freeze the selected elements (page-preparation step)
+async function applyMaskRules(page, rules) {
+  if (!rules.hide.length && !rules.freeze.length) {
+    return;
+  }
+
+  await page.evaluate(({ hide, freeze }) => {
+    const style = document.createElement('style');
+    style.dataset.visualMasks = '';
+    style.textContent = [
+      ...hide.map(selector => `${selector} { visibility: hidden !important; }`),
+      ...freeze.map(selector => `${selector}, ${selector} * {
+        animation: none !important;
+        transition: none !important;
+        scroll-behavior: auto !important;
+      }`)
+    ].join('\n');
+    document.head.appendChild(style);
+
+    for (const selector of freeze) {
+      document.querySelectorAll(selector).forEach(element => {
+        const videos = element instanceof HTMLVideoElement ? [element] : element.querySelectorAll('video');
+        videos.forEach(video => {
+          video.pause();
+          video.currentTime = 0;
+        });
+      });
+    }
+  }, { hide: rules.hide, freeze: rules.freeze });
+}
+
+// Screenshot options that paint the masked selectors
+function screenshotMaskOptions(page, rules) {
+  return {
+    mask: rules.mask.map(selector => page.locator(selector)),
+    maskColor: MASK_COLOR
+  };
+}
+
+// Page coordinates of every visible masked element, for the report
+async function measureMaskedAreas(page, rules) {
+  if (!rules.mask.length) {
+    return [];
+  }
+
+  return page.evaluate(selectors => {
+    const areas = [];
+    for (const selector of selectors) {
+      document.querySelectorAll(selector).forEach(element => {
+        const rect = element.getBoundingClientRect();
+        if (rect.width && rect.height) {
+          areas.push({
+            selector,
+            x: Math.round(rect.left + window.scrollX),
+            y: Math.round(rect.top + window.scrollY),
+            width: Math.round(rect.width),
+            height: Math.round(rect.height)
+          });
+        }
+      });
+    }
+    return areas;
+  }, rules.mask);
+}
+
+// Cover the ignore regions with boxes in the page itself. Used for Playwright's
+// toHaveScreenshot(), which has no option for plain pixel rectangles.
+async function addIgnoreRegionOverlays(page, rules) {
+  if (!rules.ignoreRegions.length) {
+    return;
+  }
+
+  await page.evaluate(({ regions, color }) => {
+    for (const region of regions) {
+      const overlay = document.createElement('div');
+      overlay.dataset.visualIgnoreRegion = '';
+      Object.assign(overlay.style, {
+        position: 'absolute',
+        left: `${region.x}px`,
+        top: `${region.y}px`,
+        width: `${region.width}px`,
+        height: `${region.height}px`,
+        background: color,
+        zIndex: '2147483647',
+        pointerEvents: 'none'
+      });
+      document.documentElement.appendChild(overlay);
+    }
+  }, { regions: rules.ignoreRegions, color: MASK_COLOR });
+}
+
+module.exports = {
+  MASK_COLOR,
+  resolveMaskRules,
+  applyMaskRules,
+  screenshotMaskOptions,
+  measureMaskedAreas,
+  addIgnoreRegionOverlays
+};
@@ -0,0 +1,84 @@
+// @ts-check
+const { test, expect: baseExpect } = require('@playwright/test');
+const { compareScreenshots, summarizeComparison, describeComparison } = require('./pixel-diff');
+const { screenshotMaskOptions } = require('./masks');
+
+// Full-page screenshot taken the same way on both pages of a comparison
+async function screenshotForComparison(page, masks) {
+  return page.screenshot({
+    fullPage: true,
+    animations: 'disabled',
+    caret: 'hide',
+    scale: 'css',
+    ...(masks ? screenshotMaskOptions(page, masks) : {})
+  });
+}
+
+// `expect` with custom matchers. Use it instead of the one from @playwright/test:
+//
+//   const { expect } = require('../lib/matchers');
+//   await expect(candidatePage).toMatchEnvironment(referencePage, { masks, tolerance: 0.5 });
+const expect = baseExpect.extend({
+  // Compare two loaded pages (usually the same path on two environments) pixel by pixel.
+  // The reference page gets the viewport of the tested page, then both are captured and diffed
+  // in memory. Both images and the diff are attached to the test, where the HTML report shows
+  // them in its image comparison viewer.
+  //
+  // Options: threshold, tolerance (see lib/pixel-diff.js), masks (mask rules of lib/masks.js),
+  // name (attachment name, defaults to 'environment')
+  async toMatchEnvironment(page, referencePage, options = {}) {
+    const assertionName = 'toMatchEnvironment';
+    const { masks = null, threshold, tolerance, name = 'environment' } = options;
+
+    const viewport = page.viewportSize();
+    if (viewport) {
+      await referencePage.setViewportSize(viewport);
+    }
+
+    const referenceScreenshot = await screenshotForComparison(referencePage, masks);
+    const screenshot = await screenshotForComparison(page, masks);
+    const comparison = compareScreenshots(referenceScreenshot, screenshot, {
+      threshold,
+      tolerance,
+      ignoreRegions: masks ? masks.ignoreRegions : []
+    });
+
+    // '-expected', '-actual' and '-diff' attachments are grouped into one viewer by the HTML report
+    const testInfo = test.info();
+    await testInfo.attach(`${name}-expected.png`, { body: referenceScreenshot, contentType: 'image/png' });
+    await testInfo.attach(`${name}-actual.png`, { body: screenshot, contentType: 'image/png' });
+    await testInfo.attach(`${name}-diff.png`, { body: comparison.diffImage, contentType: 'image/png' });
+    await testInfo.attach(`${name}-comparison.json`, {
+      body: JSON.stringify(summarizeComparison(comparison), null, 2),
+      contentType: 'application/json'
+    });
+
+    const pass = comparison.passed;
+    const message = () => {
+      const hint = this.utils.matcherHint(assertionName, 'page', 'referencePage', { isNot: this.isNot });
+      const details = [
+        `Reference: ${referencePage.url()}`,
+        `Received:  ${page.url()}`,
+        `${describeComparison(comparison)}: ${comparison.mismatchPercentage}% of pixels differ ` +
+          `(${comparison.diffPixels} pixels, ${comparison.changedRegions.length} regions, tolerance ${comparison.tolerance}%)`
+      ];
+      if (comparison.sizeMismatch) {
+        const { productionSize: a, developmentSize: b } = comparison;
+        details.push(`Page size: ${a.width}×${a.height} vs ${b.width}×${b.height}`);
+      }
+      return `${hint}\n\n${details.join('\n')}`;
+    };
+
+    return {
+      pass,
+      message,
+      name: assertionName,
+      expected: comparison.tolerance,
+      actual: comparison.mismatchPercentage
+    };
+  }
+});
+
+module.exports = {
+  expect
+};
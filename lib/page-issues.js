@@ -0,0 +1,198 @@
+// @ts-check
+const config = require('../issues.config');
+
+// Issue kinds in report order, with their labels
+const ISSUE_KINDS = {
+  'page-error': 'Uncaught error',
+  'console-error': 'Console error',
+  'console-warning': 'Console warning',
+  'http-error': 'HTTP error',
+  'failed-request': 'Failed request',
+  'mixed-content': 'Mixed content'
+};
+
+// Issue kinds that fail a capture test when only the candidate has them
+const FAIL_ON_NEW = process.env.ISSUES_FAIL_ON
+  ? process.env.ISSUES_FAIL_ON.split(',').map(kind => kind.trim()).filter(Boolean)
+  : config.failOnNew;
+
+// Issues kept per list in the result files and reports
+const MAX_ISSUES = 100;
+
+// Requests the browser cancels itself (navigation, lazy images scrolled past) are not failures
+const CANCELLED_REQUEST_ERRORS = ['net::ERR_ABORTED', 'NS_BINDING_ABORTED', 'cancelled'];
+
+const unknownKinds = FAIL_ON_NEW.filter(kind => !ISSUE_KINDS[kind]);
+if (unknownKinds.length) {
+  throw new Error(`Unknown issue kind(s) ${unknownKinds.join(', ')} (known: ${Object.keys(ISSUE_KINDS).join(', ')})`);
+}
+
+function isIgnored(issue) {
+  return config.ignore.some(pattern => (typeof pattern === 'string'
+    ? issue.message.includes(pattern) || (issue.url || '').includes(pattern)
+    : pattern.test(issue.message) || pattern.test(issue.url || '')));
+}
+
+// Make an issue comparable across environments: host-relative URLs (also plain-http ones of
+// the same host), no cache-busting versions
+function normalize(text, origin) {
+  return text
+    .split(origin).join('')
+    .split(origin.replace(/^https:/, 'http:')).join('')
+    .replace(/\?ver=[^\s"')]*/g, '');
+}
+
+// Start listening to a page before it navigates; stop() detaches the listeners and returns
+// the issues, normalized against the origin of the page that was loaded
+function watchPage(page) {
+  const recorded = [];
+  const insecureRequests = [];
+
+  const onConsole = message => {
+    const type = message.type();
+    if (type !== 'error' && type !== 'warning') return;
+    recorded.push({
+      kind: type === 'error' ? 'console-error' : 'console-warning',
+      message: message.text(),
+      url: message.location().url || null
+    });
+  };
+  const onPageError = error => {
+    recorded.push({ kind: 'page-error', message: error.message, url: null });
+  };
+  const onRequest = request => {
+    if (request.url().startsWith('http:')) insecureRequests.push(request);
+  };
+  const onRequestFailed = request => {
+    const failure = request.failure();
+    const errorText = failure ? failure.errorText : 'failed';
+    if (CANCELLED_REQUEST_ERRORS.includes(errorText)) return;
+    recorded.push({ kind: 'failed-request', message: `${request.resourceType()} ${errorText}`, url: request.url() });
+  };
+  const onResponse = response => {
+    if (response.status() < 400) return;
+    recorded.push({
+      kind: 'http-error',
+      message: `${response.request().resourceType()} ${response.status()}`,
+      url: response.url()
+    });
+  };
+
+  page.on('console', onConsole);
+  page.on('pageerror', onPageError);
+  page.on('request', onRequest);
+  page.on('requestfailed', onRequestFailed);
+  page.on('response', onResponse);
+
+  return {
+    stop() {
+      page.off('console', onConsole);
+      page.off('pageerror', onPageError);
+      page.off('request', onRequest);
+      page.off('requestfailed', onRequestFailed);
+      page.off('response', onResponse);
+
+      const pageUrl = page.url();
+      const origin = pageUrl.startsWith('http') ? new URL(pageUrl).origin : '';
+      if (pageUrl.startsWith('https:')) {
+        insecureRequests.forEach(request => recorded.push({
+          kind: 'mixed-content',
+          message: request.resourceType(),
+          url: request.url()
+        }));
+      }
+
+      return recorded
+        .map(issue => ({
+          kind: issue.kind,
+          message: origin ? normalize(issue.message, origin) : issue.message,
+          url: issue.url && origin ? normalize(issue.url, origin) : issue.url
+        }))
+        .filter(issue => !isIgnored(issue));
+    }
+  };
+}
+
+const signature = issue => `${issue.kind}|${issue.message}|${issue.url || ''}`;
+
+// Issue counts by kind
+function countIssues(issues) {
+  const counts = {};
+  Object.keys(ISSUE_KINDS).forEach(kind => { counts[kind] = 0; });
+  issues.forEach(issue => { counts[issue.kind]++; });
+  return counts;
+}
+
+// Unique issues, in report order
+function uniqueIssues(issues) {
+  const seen = new Map();
+  issues.forEach(issue => {
+    const key = signature(issue);
+    const known = seen.get(key);
+    if (known) known.count++;
+    else seen.set(key, { ...issue, count: 1 });
+  });
+  const order = Object.keys(ISSUE_KINDS);
+  return [...seen.values()].sort((a, b) => order.indexOf(a.kind) - order.indexOf(b.kind));
+}
+
+// Compare the issues of both environments: what only the candidate has is what the change
+// under test introduced
+function compareIssues(productionIssues, developmentIssues) {
+  const production = uniqueIssues(productionIssues);
+  const development = uniqueIssues(developmentIssues);
+  const productionKeys = new Set(production.map(signature));
+  const developmentKeys = new Set(development.map(signature));
+  const onlyInDevelopment = development.filter(issue => !productionKeys.has(signature(issue)));
+  const onlyInProduction = production.filter(issue => !developmentKeys.has(signature(issue)));
+  const limit = list => list.slice(0, MAX_ISSUES);
+
+  return {
+    identical: !onlyInDevelopment.length && !onlyInProduction.length,
+    productionCounts: countIssues(productionIssues),
+    developmentCounts: countIssues(developmentIssues),
+    newCount: onlyInDevelopment.length,
+    fixedCount: onlyInProduction.length,
+    sharedCount: development.length - onlyInDevelopment.length,
+    onlyInDevelopment: limit(onlyInDevelopment),
+    onlyInProduction: limit(onlyInProduction),
+    shared: limit(development.filter(issue => productionKeys.has(signature(issue))))
+  };
+}
+
+// One-line description for logs and assertion messages
+function describeIssue(issue) {
+  return `${issue.kind}: ${issue.message}${issue.url ? ` (${issue.url})` : ''}`;
+}
+
+// New candidate issues of the kinds in FAIL_ON_NEW
+function failingIssues(issues) {
+  return issues.onlyInDevelopment.filter(issue => FAIL_ON_NEW.includes(issue.kind));
+}
+
+// Collector for captureComparison(): listens to the page while each environment loads
+function pageIssuesCollector() {
+  let watcher = null;
+  return {
+    key: 'issues',
+    start: page => {
+      watcher = watchPage(page);
+    },
+    collect: () => {
+      const issues = watcher ? watcher.stop() : [];
+      watcher = null;
+      return issues;
+    },
+    compare: (production, development) => compareIssues(production, development)
+  };
+}
+
+module.exports = {
+  ISSUE_KINDS,
+  FAIL_ON_NEW,
+  watchPage,
+  compareIssues,
+  describeIssue,
+  failingIssues,
+  pageIssuesCollector
+};
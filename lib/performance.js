@@ -0,0 +1,209 @@
+// @ts-check
+const fs = require('fs').promises;
+const path = require('path');
+const config = require('../performance.config');
+const { NAVIGATION_TIMEOUT } = require('./config');
+
+// Page loads per environment
+const PERF_RUNS = parseInt(process.env.PERF_RUNS || String(config.runs), 10);
+
+// Medians of earlier runs, for the trend table of the reports. Kept outside test-results/,
+// which Playwright empties on every run.
+const PERFORMANCE_HISTORY_FILE = path.join(__dirname, '..', 'performance-history.json');
+
+// Runs kept per page, device and browser in the history
+const MAX_HISTORY = 20;
+
+// Resources listed per environment
+const LARGEST_RESOURCES = 5;
+
+// Compared metrics, in report order
+const METRICS = {
+  ttfb: { label: 'TTFB', unit: 'ms' },
+  domContentLoaded: { label: 'DOM loaded', unit: 'ms' },
+  load: { label: 'Load', unit: 'ms' },
+  lcp: { label: 'LCP', unit: 'ms' },
+  cls: { label: 'CLS', unit: '' },
+  transferSize: { label: 'Transfer', unit: 'bytes' },
+  requestCount: { label: 'Requests', unit: '' }
+};
+
+// Load a page once in a fresh browser context (empty cache) and measure it.
+// LCP and CLS are null in browsers without those performance entries (WebKit).
+async function measurePage(browser, url, { viewport, userAgent }) {
+  const context = await browser.newContext({ viewport, userAgent });
+  const page = await context.newPage();
+  const sizes = [];
+
+  page.on('requestfinished', request => {
+    sizes.push(request.sizes()
+      .then(size => ({
+        url: request.url(),
+        type: request.resourceType(),
+        size: size.responseBodySize + size.responseHeadersSize
+      }))
+      .catch(() => null));
+  });
+
+  try {
+    await page.goto(url, { waitUntil: 'load', timeout: NAVIGATION_TIMEOUT });
+    // Late requests (analytics, lazy scripts) still count towards the page weight
+    await page.waitForLoadState('networkidle', { timeout: 5000 }).catch(() => {});
+
+    const timings = await page.evaluate(async () => {
+      const observe = type => new Promise(resolve => {
+        if (!PerformanceObserver.supportedEntryTypes || !PerformanceObserver.supportedEntryTypes.includes(type)) {
+          resolve(null);
+          return;
+        }
+        const entries = [];
+        const observer = new PerformanceObserver(list => entries.push(...list.getEntries()));
+        observer.observe({ type, buffered: true });
+        setTimeout(() => {
+          observer.disconnect();
+          resolve(entries);
+        }, 100);
+      });
+
+      const navigation = /** @type {PerformanceNavigationTiming | undefined} */ (performance.getEntriesByType('navigation')[0]);
+      const paints = await observe('largest-contentful-paint');
+      const shifts = await observe('layout-shift');
+
+      return {
+        ttfb: navigation ? navigation.responseStart : null,
+        domContentLoaded: navigation ? navigation.domContentLoadedEventEnd : null,
+        load: navigation ? navigation.loadEventEnd : null,
+        lcp: paints && paints.length ? paints[paints.length - 1].startTime : null,
+        // Sum of the shifts not caused by input (an upper bound of the session-window CLS)
+        cls: shifts ? shifts.filter(shift => !shift.hadRecentInput).reduce((sum, shift) => sum + shift.value, 0) : null
+      };
+    });
+
+    const origin = new URL(page.url()).origin;
+    const resources = (await Promise.all(sizes)).filter(Boolean);
+    return {
+      ...timings,
+      transferSize: resources.reduce((sum, resource) => sum + resource.size, 0),
+      requestCount: resources.length,
+      largestResources: resources
+        .sort((a, b) => b.size - a.size)
+        .slice(0, LARGEST_RESOURCES)
+        .map(resource => ({ ...resource, url: resource.url.startsWith(origin) ? resource.url.slice(origin.length) : resource.url }))
+    };
+  } finally {
+    await context.close();
+  }
+}
+
+function median(values) {
+  const sorted = values.filter(value => value !== null && value !== undefined).sort((a, b) => a - b);
+  if (!sorted.length) return null;
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+// Largest resources over the runs of one environment: every resource a run listed, with the
+// median of its sizes in the runs that listed it
+function largestResources(runs) {
+  const byUrl = new Map();
+  for (const run of runs) {
+    for (const resource of run.largestResources) {
+      const entry = byUrl.get(resource.url) || { url: resource.url, type: resource.type, sizes: [] };
+      entry.sizes.push(resource.size);
+      byUrl.set(resource.url, entry);
+    }
+  }
+  return [...byUrl.values()]
+    .map(({ url, type, sizes }) => ({ url, type, size: Math.round(median(sizes)) }))
+    .sort((a, b) => b.size - a.size)
+    .slice(0, LARGEST_RESOURCES);
+}
+
+// Median of every metric and the largest resources over the runs of one environment
+function summarizeRuns(runs) {
+  const medians = {};
+  for (const metric of Object.keys(METRICS)) {
+    const value = median(runs.map(run => run[metric]));
+    medians[metric] = value === null ? null : Number(value.toFixed(metric === 'cls' ? 4 : 0));
+  }
+  return { runs: runs.length, medians, largestResources: largestResources(runs) };
+}
+
+// Compare the medians of both environments with the budgets and regression limits.
+// `reference` is null when there is no live reference (only budgets are checked then).
+function comparePerformance(reference, candidate, { budgets = config.budgets, regressions = config.regressions } = {}) {
+  const metrics = {};
+  const violations = [];
+
+  for (const [metric, { label, unit }] of Object.entries(METRICS)) {
+    const referenceValue = reference ? reference.medians[metric] : null;
+    const candidateValue = candidate.medians[metric];
+    const changePercent = referenceValue && candidateValue !== null
+      ? Number((((candidateValue - referenceValue) / referenceValue) * 100).toFixed(1))
+      : null;
+
+    const budget = budgets[metric] ?? null;
+    const overBudget = budget !== null && candidateValue !== null && candidateValue > budget;
+    const regressionLimit = regressions[metric] ?? null;
+    const regressed = regressionLimit !== null && changePercent !== null && changePercent > regressionLimit;
+
+    if (overBudget) {
+      violations.push(`${label} ${candidateValue}${unit && ` ${unit}`} is over the budget of ${budget}${unit && ` ${unit}`}`);
+    }
+    if (regressed) {
+      violations.push(`${label} is ${changePercent}% above the reference (limit ${regressionLimit}%)`);
+    }
+
+    metrics[metric] = { reference: referenceValue, candidate: candidateValue, changePercent, budget, overBudget, regressionLimit, regressed };
+  }
+
+  return { metrics, violations, passed: !violations.length };
+}
+
+async function readPerformanceHistory() {
+  try {
+    return JSON.parse(await fs.readFile(PERFORMANCE_HISTORY_FILE, 'utf8'));
+  } catch (error) {
+    return {};
+  }
+}
+
+// Add the medians of the given performance results to the history, keyed by browser, device
+// and page. Results already in the history (same timestamp) are not added again, so
+// rebuilding a report is harmless. Returns the updated history.
+async function updatePerformanceHistory(results) {
+  const history = await readPerformanceHistory();
+  let changed = false;
+
+  for (const result of results) {
+    const key = `${result.browser}|${result.device}|${result.pageUrl}`;
+    const entries = history[key] || [];
+    if (entries.some(entry => entry.timestamp === result.timestamp)) continue;
+
+    entries.push({
+      timestamp: result.timestamp,
+      reference: result.environments.reference.name,
+      candidate: result.environments.candidate.name,
+      production: result.production ? result.production.medians : null,
+      development: result.development.medians
+    });
+    history[key] = entries.slice(-MAX_HISTORY);
+    changed = true;
+  }
+
+  if (changed) {
+    await fs.writeFile(PERFORMANCE_HISTORY_FILE, JSON.stringify(history, null, 2));
+  }
+  return history;
+}
+
+module.exports = {
+  PERF_RUNS,
+  PERFORMANCE_HISTORY_FILE,
+  METRICS,
+  measurePage,
+  summarizeRuns,
+  comparePerformance,
+  readPerformanceHistory,
+  updatePerformanceHistory
+};
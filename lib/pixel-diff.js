@@ -0,0 +1,219 @@
+// @ts-check
+const { PNG } = require('pngjs');
+const pixelmatch = require('pixelmatch');
+
+// Per-pixel color distance (0..1) above which a pixel counts as changed
+const DEFAULT_THRESHOLD = parseFloat(process.env.DIFF_THRESHOLD || '0.1');
+
+// Percentage of changed pixels a comparison may have and still pass
+const DEFAULT_TOLERANCE = parseFloat(process.env.DIFF_TOLERANCE || '0.1');
+
+// Size of the grid cells changed pixels are grouped into when building regions
+const REGION_CELL_SIZE = 32;
+
+// Regions beyond this are merged into the last one to keep result files readable
+const MAX_REGIONS = 50;
+
+// Color used to fill the area one screenshot has and the other does not, and ignored regions
+const PADDING_COLOR = [255, 0, 255, 255];
+
+// Copy a decoded PNG onto a canvas of the given size, filling the rest with PADDING_COLOR
+function padImage(png, width, height) {
+  if (png.width === width && png.height === height) {
+    return Buffer.from(png.data);
+  }
+
+  const data = Buffer.alloc(width * height * 4);
+  for (let i = 0; i < data.length; i += 4) {
+    data[i] = PADDING_COLOR[0];
+    data[i + 1] = PADDING_COLOR[1];
+    data[i + 2] = PADDING_COLOR[2];
+    data[i + 3] = PADDING_COLOR[3];
+  }
+  for (let y = 0; y < png.height; y++) {
+    png.data.copy(data, y * width * 4, y * png.width * 4, (y + 1) * png.width * 4);
+  }
+  return data;
+}
+
+// Paint the ignored rectangles with the same color in both images so they never differ.
+// Returns the number of pixels covered.
+function fillIgnoredRegions(images, width, height, regions) {
+  const covered = new Uint8Array(width * height);
+  let ignoredPixels = 0;
+
+  for (const region of regions) {
+    const left = Math.max(0, Math.floor(region.x));
+    const top = Math.max(0, Math.floor(region.y));
+    const right = Math.min(width, Math.ceil(region.x + region.width));
+    const bottom = Math.min(height, Math.ceil(region.y + region.height));
+
+    for (let y = top; y < bottom; y++) {
+      for (let x = left; x < right; x++) {
+        const pixel = y * width + x;
+        if (!covered[pixel]) {
+          covered[pixel] = 1;
+          ignoredPixels++;
+        }
+        for (const data of images) {
+          data[pixel * 4] = PADDING_COLOR[0];
+          data[pixel * 4 + 1] = PADDING_COLOR[1];
+          data[pixel * 4 + 2] = PADDING_COLOR[2];
+          data[pixel * 4 + 3] = PADDING_COLOR[3];
+        }
+      }
+    }
+  }
+  return ignoredPixels;
+}
+
+// Group changed pixels of a pixelmatch output into bounding boxes
+function findChangedRegions(diffData, width, height) {
+  const columns = Math.ceil(width / REGION_CELL_SIZE);
+  const rows = Math.ceil(height / REGION_CELL_SIZE);
+  const changedCells = new Uint8Array(columns * rows);
+
+  // pixelmatch paints changed pixels with diffColor (pure red by default)
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = (y * width + x) * 4;
+      if (diffData[i] === 255 && diffData[i + 1] === 0 && diffData[i + 2] === 0) {
+        changedCells[Math.floor(y / REGION_CELL_SIZE) * columns + Math.floor(x / REGION_CELL_SIZE)] = 1;
+      }
+    }
+  }
+
+  // Flood-fill neighbouring changed cells into one region each
+  const regions = [];
+  const visited = new Uint8Array(columns * rows);
+  for (let start = 0; start < changedCells.length; start++) {
+    if (!changedCells[start] || visited[start]) continue;
+
+    let minColumn = columns, minRow = rows, maxColumn = 0, maxRow = 0;
+    const stack = [start];
+    visited[start] = 1;
+
+    while (stack.length) {
+      const cell = /** @type {number} */ (stack.pop());
+      const column = cell % columns;
+      const row = Math.floor(cell / columns);
+      minColumn = Math.min(minColumn, column);
+      maxColumn = Math.max(maxColumn, column);
+      minRow = Math.min(minRow, row);
+      maxRow = Math.max(maxRow, row);
+
+      for (const [dx, dy] of [[1, 0], [-1, 0], [0, 1], [0, -1]]) {
+        const nextColumn = column + dx;
+        const nextRow = row + dy;
+        if (nextColumn < 0 || nextRow < 0 || nextColumn >= columns || nextRow >= rows) continue;
+        const next = nextRow * columns + nextColumn;
+        if (changedCells[next] && !visited[next]) {
+          visited[next] = 1;
+          stack.push(next);
+        }
+      }
+    }
+
+    const x = minColumn * REGION_CELL_SIZE;
+    const y = minRow * REGION_CELL_SIZE;
+    regions.push({
+      x,
+      y,
+      width: Math.min((maxColumn + 1) * REGION_CELL_SIZE, width) - x,
+      height: Math.min((maxRow + 1) * REGION_CELL_SIZE, height) - y
+    });
+  }
+
+  if (regions.length <= MAX_REGIONS) {
+    return regions;
+  }
+
+  // Merge the overflow into one box so nothing is silently dropped
+  const kept = regions.slice(0, MAX_REGIONS - 1);
+  const overflow = regions.slice(MAX_REGIONS - 1);
+  const left = Math.min(...overflow.map(r => r.x));
+  const top = Math.min(...overflow.map(r => r.y));
+  const right = Math.max(...overflow.map(r => r.x + r.width));
+  const bottom = Math.max(...overflow.map(r => r.y + r.height));
+  kept.push({ x: left, y: top, width: right - left, height: bottom - top });
+  return kept;
+}
+
+// Compare two PNG screenshots pixel by pixel.
+// Screenshots of different sizes are compared on a shared canvas; the area only one of them
+// covers counts as changed. `ignoreRegions` ({ x, y, width, height }) are left out entirely.
+function compareScreenshots(productionPng, developmentPng, options = {}) {
+  const threshold = options.threshold ?? DEFAULT_THRESHOLD;
+  const tolerance = options.tolerance ?? DEFAULT_TOLERANCE;
+  const ignoreRegions = options.ignoreRegions || [];
+
+  const production = PNG.sync.read(productionPng);
+  const development = PNG.sync.read(developmentPng);
+
+  const width = Math.max(production.width, development.width);
+  const height = Math.max(production.height, development.height);
+
+  const productionData = padImage(production, width, height);
+  const developmentData = padImage(development, width, height);
+  const ignoredPixels = fillIgnoredRegions([productionData, developmentData], width, height, ignoreRegions);
+
+  const diff = new PNG({ width, height });
+  const diffPixels = pixelmatch(
+    productionData,
+    developmentData,
+    diff.data,
+    width,
+    height,
+    { threshold, includeAA: false, alpha: 0.2 }
+  );
+
+  const totalPixels = width * height - ignoredPixels;
+  const mismatchPercentage = totalPixels ? Number(((diffPixels / totalPixels) * 100).toFixed(4)) : 0;
+
+  return {
+    identical: diffPixels === 0,
+    passed: mismatchPercentage <= tolerance,
+    diffPixels,
+    totalPixels,
+    ignoredPixels,
+    ignoredRegions: ignoreRegions,
+    mismatchPercentage,
+    threshold,
+    tolerance,
+    sizeMismatch: production.width !== development.width || production.height !== development.height,
+    productionSize: { width: production.width, height: production.height },
+    developmentSize: { width: development.width, height: development.height },
+    changedRegions: diffPixels ? findChangedRegions(diff.data, width, height) : [],
+    diffImage: PNG.sync.write(diff)
+  };
+}
+
+// Paint ignored rectangles into a PNG screenshot, the way both sides of a comparison see them
+function paintIgnoredRegions(png, regions) {
+  const image = PNG.sync.read(png);
+  fillIgnoredRegions([image.data], image.width, image.height, regions);
+  return PNG.sync.write(image);
+}
+
+// Comparison fields that go into the *-result.json files (everything but the image)
+function summarizeComparison(comparison) {
+  const { diffImage, ...summary } = comparison;
+  return summary;
+}
+
+// Short status label used in logs and reports
+function describeComparison(comparison) {
+  if (comparison.identical) {
+    return 'identical';
+  }
+  return comparison.passed ? 'within tolerance' : 'different';
+}
+
+module.exports = {
+  DEFAULT_THRESHOLD,
+  DEFAULT_TOLERANCE,
+  compareScreenshots,
+  paintIgnoredRegions,
+  summarizeComparison,
+  describeComparison
+};
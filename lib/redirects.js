@@ -0,0 +1,124 @@
+// @ts-check
+const fs = require('fs').promises;
+const path = require('path');
+const { resolveChain, isSameUrl, isHostRedirect, isEnvironmentHost } = require('./links');
+
+// Redirect map checked by tests/redirects.test.js, a CSV or JSON file relative to the repo root
+const REDIRECT_MAP = path.resolve(__dirname, '..', process.env.REDIRECT_MAP || 'redirect-map.csv');
+
+// Expected status and hop count of entries that don't set them
+const DEFAULT_STATUS = 301;
+const DEFAULT_MAX_HOPS = 1;
+
+// Split CSV text into rows of fields; fields may be quoted ("a, b" and "say ""hi""")
+function parseCsv(text) {
+  const rows = [];
+  for (const line of text.split(/\r?\n/)) {
+    if (!line.trim() || line.trim().startsWith('#')) continue;
+    const fields = [];
+    let field = '';
+    let quoted = false;
+    for (let index = 0; index < line.length; index++) {
+      const char = line[index];
+      if (quoted && char === '"' && line[index + 1] === '"') {
+        field += '"';
+        index++;
+      } else if (char === '"') {
+        quoted = !quoted;
+      } else if (char === ',' && !quoted) {
+        fields.push(field.trim());
+        field = '';
+      } else {
+        field += char;
+      }
+    }
+    fields.push(field.trim());
+    rows.push(fields);
+  }
+  return rows;
+}
+
+// Read a redirect map: CSV with a `from,to[,status][,hops]` header row, or a JSON array of
+// { from, to, status?, hops? }. Returns [{ from, to, status, hops }].
+async function readRedirectMap(file = REDIRECT_MAP) {
+  const text = await fs.readFile(file, 'utf8');
+  let entries;
+  if (file.endsWith('.json')) {
+    entries = JSON.parse(text);
+  } else {
+    const [header, ...rows] = parseCsv(text);
+    const columns = header.map(name => name.toLowerCase());
+    if (!columns.includes('from') || !columns.includes('to')) {
+      throw new Error(`${file} needs a header row with "from" and "to" columns`);
+    }
+    entries = rows.map(row => Object.fromEntries(columns.map((column, index) => [column, row[index] || ''])));
+  }
+
+  return entries.map((entry, index) => {
+    if (!entry.from || !entry.to) {
+      throw new Error(`Entry ${index + 1} of ${file} needs "from" and "to"`);
+    }
+    return {
+      from: entry.from,
+      to: entry.to,
+      status: parseInt(entry.status, 10) || DEFAULT_STATUS,
+      hops: parseInt(entry.hops, 10) || DEFAULT_MAX_HOPS
+    };
+  });
+}
+
+// Point a target of the map at the checked environment: paths are resolved against its base
+// URL, and absolute URLs on any environment's host (apex or www) are moved to its host
+function rewriteTarget(target, baseUrl) {
+  const url = new URL(target, baseUrl);
+  if (isEnvironmentHost(url.host)) {
+    const base = new URL(baseUrl);
+    url.protocol = base.protocol;
+    url.host = base.host;
+  }
+  return url.href;
+}
+
+// Request the old path on an environment and check the redirect: the first status, the
+// number of hops and the final destination, which must answer 200. A first hop that only
+// moves between the apex and www host is the site's own host redirect and isn't counted.
+async function checkRedirect(entry, baseUrl) {
+  const expectedUrl = rewriteTarget(entry.to, baseUrl);
+  const result = await resolveChain(new URL(entry.from, baseUrl).href);
+  const chain = result.chain.length > 1 && isHostRedirect(result.chain[0].url, result.chain[1].url)
+    ? result.chain.slice(1)
+    : result.chain;
+  const hops = Math.max(chain.length - 1, 0);
+  const status = chain.length ? chain[0].status : null;
+
+  const failures = [];
+  if (result.error) failures.push(`request failed: ${result.error}`);
+  if (result.loop) failures.push('redirect loop');
+  if (status !== null && status !== entry.status) failures.push(`status ${status} instead of ${entry.status}`);
+  if (hops > entry.hops) failures.push(`${hops} hops instead of at most ${entry.hops}`);
+  if (!result.loop && !result.error && !isSameUrl(result.finalUrl, expectedUrl)) failures.push(`ends on ${result.finalUrl}`);
+  if (result.status !== null && result.status !== 200) failures.push(`destination answers ${result.status}`);
+
+  return {
+    from: entry.from,
+    to: entry.to,
+    expectedUrl,
+    expectedStatus: entry.status,
+    maxHops: entry.hops,
+    status,
+    hopCount: hops,
+    finalUrl: result.finalUrl,
+    finalStatus: result.status,
+    chain: result.chain,
+    failures,
+    passed: !failures.length
+  };
+}
+
+module.exports = {
+  REDIRECT_MAP,
+  parseCsv,
+  readRedirectMap,
+  rewriteTarget,
+  checkRedirect
+};
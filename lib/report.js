@@ -0,0 +1,1450 @@
+// @ts-check
+const fs = require('fs').promises;
+const path = require('path');
+const { describePair } = require('./environments');
+const { SCREENSHOTS_DIR } = require('./config');
+const { describeComparison } = require('./pixel-diff');
+const { ISSUE_KINDS } = require('./page-issues');
+const { LAYOUT_CHECKS } = require('./layout');
+const { SEO_RISKS } = require('./seo');
+const { METRICS, updatePerformanceHistory } = require('./performance');
+const { LINK_PROBLEMS } = require('./links');
+const { readResults, readPerformanceResults, readLinkResults, readRedirectResults, readSuiteManifests, toReportPath } = require('./results');
+
+// Shared styles of the comparison reports
+const REPORT_STYLES = `
+        * { box-sizing: border-box; }
+        body { 
+            font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+            margin: 0;
+            padding: 20px;
+            background: #f5f5f5;
+            color: #333;
+        }
+        .header {
+            background: white;
+            padding: 30px;
+            border-radius: 8px;
+            margin-bottom: 30px;
+            box-shadow: 0 2px 10px rgba(0,0,0,0.1);
+        }
+        .header h1 {
+            margin: 0 0 10px 0;
+            color: #2c3e50;
+        }
+        .header .meta {
+            color: #7f8c8d;
+            font-size: 14px;
+        }
+        .page-section {
+            margin-bottom: 40px;
+        }
+        .page-header {
+            background: #3498db;
+            color: white;
+            padding: 20px;
+            border-radius: 8px;
+            margin-bottom: 20px;
+        }
+        .page-title {
+            font-size: 24px;
+            font-weight: 600;
+            margin: 0 0 10px 0;
+        }
+        .page-urls {
+            font-size: 14px;
+            opacity: 0.9;
+        }
+        .comparison-grid {
+            display: grid;
+            gap: 20px;
+        }
+        .comparison-card {
+            background: white;
+            border-radius: 8px;
+            overflow: hidden;
+            box-shadow: 0 2px 10px rgba(0,0,0,0.1);
+        }
+        .card-header {
+            background: #34495e;
+            color: white;
+            padding: 15px 20px;
+            display: flex;
+            justify-content: space-between;
+            align-items: center;
+        }
+        .device-title {
+            font-size: 16px;
+            font-weight: 600;
+            text-transform: uppercase;
+        }
+        .status {
+            padding: 4px 12px;
+            border-radius: 20px;
+            font-size: 12px;
+            font-weight: 600;
+        }
+        .status.identical {
+            background: #27ae60;
+            color: white;
+        }
+        .status.different {
+            background: #e74c3c;
+            color: white;
+        }
+        .status.within-tolerance {
+            background: #f39c12;
+            color: white;
+        }
+        .diff-stats {
+            font-size: 12px;
+            opacity: 0.8;
+            margin-top: 4px;
+            text-align: right;
+        }
+        .screenshots {
+            display: grid;
+            grid-template-columns: 1fr 1fr 1fr;
+        }
+        .screenshot-container {
+            padding: 15px;
+            text-align: center;
+        }
+        .env-label {
+            font-weight: 600;
+            margin-bottom: 10px;
+            color: #2c3e50;
+            font-size: 14px;
+        }
+        .screenshot-container img {
+            max-width: 100%;
+            border: 1px solid #ddd;
+            border-radius: 4px;
+            box-shadow: 0 2px 8px rgba(0,0,0,0.1);
+        }
+        .viewer-toolbar {
+            display: flex;
+            flex-wrap: wrap;
+            align-items: center;
+            gap: 8px;
+            padding: 10px 15px;
+            background: #ecf0f1;
+            border-bottom: 1px solid #ddd;
+            font-size: 13px;
+        }
+        .viewer-toolbar button {
+            padding: 5px 10px;
+            border: 1px solid #bdc3c7;
+            border-radius: 4px;
+            background: white;
+            cursor: pointer;
+            font-size: 13px;
+        }
+        .viewer-toolbar button.active {
+            background: #3498db;
+            border-color: #3498db;
+            color: white;
+        }
+        .viewer-toolbar .spacer {
+            flex: 1;
+        }
+        .viewer-slider-label[hidden] {
+            display: none;
+        }
+        .viewer-pane {
+            max-height: 80vh;
+            overflow: auto;
+        }
+        .viewer[data-zoom]:not([data-zoom="fit"]) .viewer-pane img,
+        .viewer[data-zoom]:not([data-zoom="fit"]) .masked-image {
+            max-width: none;
+        }
+        .masked-image {
+            position: relative;
+            display: inline-block;
+            max-width: 100%;
+            vertical-align: top;
+        }
+        .masked-image img {
+            display: block;
+        }
+        .masked-area {
+            position: absolute;
+            border: 2px dashed #8e44ad;
+            background: rgba(142, 68, 173, 0.15);
+            pointer-events: none;
+        }
+        .masked-area.ignored {
+            border-color: #7f8c8d;
+            background: rgba(127, 140, 141, 0.25);
+        }
+        .viewer-stage {
+            display: none;
+            padding: 15px;
+        }
+        .viewer:not([data-mode="side-by-side"]) .screenshots {
+            display: none;
+        }
+        .viewer:not([data-mode="side-by-side"]) .viewer-stage {
+            display: block;
+        }
+        .viewer-layers {
+            position: relative;
+            display: inline-block;
+            vertical-align: top;
+            border: 1px solid #ddd;
+        }
+        .viewer-layers img {
+            display: block;
+            max-width: 100%;
+        }
+        .viewer-layers .layer-top {
+            position: absolute;
+            top: 0;
+            left: 0;
+        }
+        .viewer-swipe-handle {
+            position: absolute;
+            top: 0;
+            bottom: 0;
+            width: 2px;
+            background: #e74c3c;
+            pointer-events: none;
+            display: none;
+        }
+        .viewer[data-mode="swipe"] .viewer-swipe-handle {
+            display: block;
+        }
+        .viewer[data-mode="diff"] .layer-prod,
+        .viewer:not([data-mode="diff"]) .layer-diff {
+            display: none;
+        }
+        .viewer-stage-label {
+            font-weight: 600;
+            margin-bottom: 10px;
+            color: #2c3e50;
+            font-size: 14px;
+        }
+        .url {
+            font-size: 12px;
+            color: #7f8c8d;
+            margin-top: 8px;
+            word-break: break-all;
+        }
+        .viewport-info {
+            font-size: 12px;
+            color: #95a5a6;
+        }
+        .summary {
+            background: white;
+            padding: 20px;
+            border-radius: 8px;
+            margin-top: 30px;
+            box-shadow: 0 2px 10px rgba(0,0,0,0.1);
+        }
+        .summary h2 {
+            margin: 0 0 15px 0;
+            color: #2c3e50;
+        }
+        .summary-stats {
+            display: grid;
+            grid-template-columns: repeat(auto-fit, minmax(200px, 1fr));
+            gap: 15px;
+        }
+        .stat-card {
+            padding: 15px;
+            background: #f8f9fa;
+            border-radius: 6px;
+            text-align: center;
+        }
+        .stat-number {
+            font-size: 24px;
+            font-weight: bold;
+            color: #2c3e50;
+        }
+        .stat-label {
+            font-size: 14px;
+            color: #7f8c8d;
+        }
+        .details-table {
+            width: 100%;
+            border-collapse: collapse;
+            font-size: 13px;
+        }
+        .details-table th,
+        .details-table td {
+            padding: 8px 15px;
+            border-top: 1px solid #eee;
+            text-align: left;
+            vertical-align: top;
+        }
+        .details-table th {
+            background: #f8f9fa;
+            color: #2c3e50;
+        }
+        .details-table a {
+            color: #3498db;
+            margin-right: 8px;
+        }
+        .details-title {
+            padding: 12px 15px 4px;
+            font-weight: 600;
+            color: #2c3e50;
+            font-size: 14px;
+        }
+        .tag {
+            display: inline-block;
+            padding: 2px 8px;
+            border-radius: 10px;
+            font-size: 11px;
+            font-weight: 600;
+            color: white;
+            background: #95a5a6;
+        }
+        .tag.identical { background: #27ae60; }
+        .tag.within-tolerance { background: #f39c12; }
+        .tag.different,
+        .tag.missing-in-production,
+        .tag.missing-in-development { background: #e74c3c; }
+        .dom-diff,
+        .page-issues {
+            border-top: 1px solid #eee;
+        }
+        .dom-diff summary,
+        .page-issues summary {
+            padding: 12px 15px;
+            cursor: pointer;
+            font-size: 14px;
+            font-weight: 600;
+            color: #2c3e50;
+        }
+        .page-issues tr.new-issue td {
+            background: #fadbd8;
+        }
+        .page-issues tr.fixed-issue td {
+            background: #d4efdf;
+        }
+        .a11y-element {
+            max-width: 160px;
+            max-height: 80px;
+            border: 1px solid #ddd;
+        }
+        .text-diff {
+            padding: 8px 15px 15px;
+            font-size: 13px;
+            line-height: 1.7;
+        }
+        .text-diff ins {
+            background: #d4efdf;
+            text-decoration: none;
+        }
+        .text-diff del {
+            background: #fadbd8;
+        }
+        .text-diff .skipped {
+            color: #95a5a6;
+            font-style: italic;
+        }
+        .performance,
+        .link-check {
+            background: white;
+            padding: 20px;
+            border-radius: 8px;
+            margin-bottom: 30px;
+            box-shadow: 0 2px 10px rgba(0,0,0,0.1);
+            overflow-x: auto;
+        }
+        .performance h2,
+        .link-check h2 {
+            margin: 0 0 15px 0;
+            color: #2c3e50;
+        }
+        .performance td small {
+            display: block;
+            color: #7f8c8d;
+        }
+        .performance td.violation {
+            background: #fadbd8;
+        }
+        .link-check tr.new-issue td,
+        .redirect-map tr.new-issue td {
+            background: #fadbd8;
+        }
+        .redirect-map tr.fixed-issue td {
+            background: #d4efdf;
+        }
+        .link-check h3 {
+            margin: 20px 0 8px;
+            font-size: 15px;
+        }
+        .page-group-title {
+            margin: 40px 0 20px;
+            color: #2c3e50;
+        }
+        .page-group-title .tag {
+            font-size: 12px;
+            vertical-align: middle;
+        }
+        .sitemap-diff {
+            background: white;
+            padding: 20px;
+            border-radius: 8px;
+            margin-bottom: 30px;
+            box-shadow: 0 2px 10px rgba(0,0,0,0.1);
+        }
+        .sitemap-diff h2 {
+            margin: 0 0 15px 0;
+            color: #2c3e50;
+        }
+        .sitemap-diff-columns {
+            display: grid;
+            grid-template-columns: 1fr 1fr;
+            gap: 20px;
+        }
+        .sitemap-diff ul {
+            margin: 0;
+            padding-left: 20px;
+            font-size: 14px;
+            word-break: break-all;
+        }
+        @media (max-width: 768px) {
+            .screenshots,
+            .sitemap-diff-columns {
+                grid-template-columns: 1fr;
+            }
+        }
+`;
+
+// Interactive diff viewer: comparison modes, zoom and synchronized scrolling
+function renderViewerScript(environments) {
+  return `
+        (function () {
+            const REFERENCE = ${JSON.stringify(`🟢 ${environments.reference.label}`)};
+            const CANDIDATE = ${JSON.stringify(`🔵 ${environments.candidate.label}`)};
+            const STAGE_LABELS = {
+                swipe: REFERENCE + ' ← drag the slider → ' + CANDIDATE,
+                onion: REFERENCE + ' over ' + CANDIDATE + ' (slider sets opacity)',
+                blink: REFERENCE + ' ⇄ ' + CANDIDATE,
+                diff: '🔴 Diff over ' + CANDIDATE + ' (slider sets opacity)'
+            };
+            const BLINK_INTERVAL = 600;
+            const blinkTimers = new WeakMap();
+
+            function stopBlink(viewer) {
+                clearInterval(blinkTimers.get(viewer));
+                blinkTimers.delete(viewer);
+            }
+
+            // Apply the slider value to the layers of the current mode
+            function applySlider(viewer) {
+                const mode = viewer.dataset.mode;
+                const value = Number(viewer.querySelector('.viewer-slider').value);
+                const prodLayer = viewer.querySelector('.layer-prod');
+                const diffLayer = viewer.querySelector('.layer-diff');
+                const handle = viewer.querySelector('.viewer-swipe-handle');
+
+                prodLayer.style.clipPath = mode === 'swipe' ? 'inset(0 ' + (100 - value) + '% 0 0)' : '';
+                prodLayer.style.opacity = mode === 'onion' ? String(value / 100) : '';
+                diffLayer.style.opacity = mode === 'diff' ? String(value / 100) : '';
+                handle.style.left = value + '%';
+            }
+
+            function setMode(viewer, mode) {
+                viewer.dataset.mode = mode;
+                stopBlink(viewer);
+
+                viewer.querySelectorAll('.viewer-toolbar button').forEach(button => {
+                    button.classList.toggle('active', button.dataset.mode === mode);
+                });
+
+                const sliderLabel = viewer.querySelector('.viewer-slider-label');
+                sliderLabel.hidden = !['swipe', 'onion', 'diff'].includes(mode);
+                viewer.querySelector('.viewer-slider').value = mode === 'diff' ? '80' : '50';
+                viewer.querySelector('.viewer-stage-label').textContent = STAGE_LABELS[mode] || '';
+
+                const prodLayer = viewer.querySelector('.layer-prod');
+                prodLayer.style.visibility = '';
+                if (mode === 'blink') {
+                    blinkTimers.set(viewer, setInterval(() => {
+                        prodLayer.style.visibility = prodLayer.style.visibility === 'hidden' ? '' : 'hidden';
+                    }, BLINK_INTERVAL));
+                }
+
+                applySlider(viewer);
+            }
+
+            // Scale every image of the viewer to the chosen zoom ('fit' = card width)
+            function setZoom(viewer, zoom) {
+                viewer.dataset.zoom = zoom;
+                viewer.querySelectorAll('img').forEach(img => {
+                    if (zoom === 'fit') {
+                        img.style.width = '';
+                    } else if (img.naturalWidth) {
+                        img.style.width = (img.naturalWidth * Number(zoom)) + 'px';
+                    } else {
+                        img.addEventListener('load', () => setZoom(viewer, viewer.dataset.zoom), { once: true });
+                    }
+                });
+            }
+
+            // Keep the scroll position of all panes of a viewer in step (by ratio, heights may differ)
+            function syncScroll(viewer, source) {
+                if (!viewer.querySelector('.viewer-sync').checked || viewer.dataset.syncing) return;
+                viewer.dataset.syncing = '1';
+
+                const ratioY = source.scrollTop / Math.max(1, source.scrollHeight - source.clientHeight);
+                const ratioX = source.scrollLeft / Math.max(1, source.scrollWidth - source.clientWidth);
+                viewer.querySelectorAll('.viewer-pane').forEach(pane => {
+                    if (pane === source) return;
+                    pane.scrollTop = ratioY * (pane.scrollHeight - pane.clientHeight);
+                    pane.scrollLeft = ratioX * (pane.scrollWidth - pane.clientWidth);
+                });
+
+                requestAnimationFrame(() => delete viewer.dataset.syncing);
+            }
+
+            document.querySelectorAll('.viewer').forEach(viewer => {
+                viewer.querySelectorAll('.viewer-toolbar button').forEach(button => {
+                    button.addEventListener('click', () => setMode(viewer, button.dataset.mode));
+                });
+                viewer.querySelector('.viewer-slider').addEventListener('input', () => applySlider(viewer));
+                viewer.querySelector('.viewer-zoom').addEventListener('change', event => setZoom(viewer, event.target.value));
+                viewer.querySelectorAll('.viewer-pane').forEach(pane => {
+                    pane.addEventListener('scroll', () => syncScroll(viewer, pane));
+                });
+            });
+        })();
+`;
+}
+
+// Escape text taken from the compared pages before it goes into the report
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// Status badge label of a device comparison
+function statusLabel(deviceData) {
+  if (deviceData.isIdentical) {
+    return '✓ IDENTICAL';
+  }
+  return deviceData.passed ? '≈ WITHIN TOLERANCE' : '⚠ DIFFERENT';
+}
+
+// Outline masked elements and ignored regions on top of a screenshot.
+// Positions are percentages of the screenshot size so they follow the zoom.
+function renderMaskOverlays(maskedAreas = [], ignoredRegions = [], size) {
+  if (!size || !size.width || !size.height) {
+    return '';
+  }
+
+  const box = (area, className, title) => `<span class="masked-area ${className}" title="${title}" style="left: ${(area.x / size.width) * 100}%; top: ${(area.y / size.height) * 100}%; width: ${(area.width / size.width) * 100}%; height: ${(area.height / size.height) * 100}%"></span>`;
+
+  return [
+    ...maskedAreas.map(area => box(area, 'masked', `Masked: ${area.selector}`)),
+    ...ignoredRegions.map(region => box(region, 'ignored', 'Ignored region'))
+  ].join('');
+}
+
+// Per-component results of one comparison
+function renderComponentTable(components = [], environments) {
+  if (!components.length) {
+    return '';
+  }
+
+  const statusClass = component =>
+    (component.status === 'compared' ? describeComparison(component) : component.status).replace(/ /g, '-');
+  const statusText = component => {
+    if (component.status === 'missing in production') return `missing in ${environments.reference.label}`;
+    if (component.status === 'missing in development') return `missing in ${environments.candidate.label}`;
+    if (component.status === 'compared') return describeComparison(component);
+    return component.status;
+  };
+
+  return `
+                        <div class="details-title">🧩 Components</div>
+                        <table class="details-table">
+                            <tr><th>Component</th><th>Selector</th><th>Status</th><th>Mismatch</th><th>Images</th></tr>
+                            ${components.map(component => `
+                            <tr>
+                                <td>${component.name}</td>
+                                <td><code>${escapeHtml(component.selector)}</code></td>
+                                <td><span class="tag ${statusClass(component)}">${statusText(component)}</span></td>
+                                <td>${component.status === 'compared' ? `${component.mismatchPercentage}%` : '–'}</td>
+                                <td>${component.status === 'compared' ? `
+                                    <a href="${component.prodPath}" target="_blank">🟢 ${environments.reference.label}</a>
+                                    <a href="${component.devPath}" target="_blank">🔵 ${environments.candidate.label}</a>
+                                    <a href="${component.diffPath}" target="_blank">🔴 Diff</a>` : ''}</td>
+                            </tr>`).join('')}
+                        </table>`;
+}
+
+// Word-level text diff and structural diff of one comparison
+function renderDomDiff(dom, environments) {
+  if (!dom) {
+    return '';
+  }
+
+  const { text, structure } = dom;
+  const reference = environments.reference.label;
+  const candidate = environments.candidate.label;
+
+  const textHtml = text.segments.map(segment => {
+    if (segment.type === 'insert') return `<ins>${escapeHtml(segment.text)}</ins>`;
+    if (segment.type === 'delete') return `<del>${escapeHtml(segment.text)}</del>`;
+    if (segment.type === 'skipped') return `<span class="skipped">… ${segment.text} …</span>`;
+    return escapeHtml(segment.text);
+  }).join(' ');
+
+  const elementRows = (list, label) => list.map(entry => `
+                                <tr><td>${label}</td><td><code>${escapeHtml(entry.signature)}</code></td><td>${escapeHtml(entry.text || '')}</td></tr>`).join('');
+
+  return `
+                        <details class="dom-diff">
+                            <summary>📝 Text ${text.identical ? 'identical' : `+${text.addedWords} / -${text.removedWords} words`}
+                                · 🏗️ Structure ${structure.identical ? 'identical' : `+${structure.addedCount} / -${structure.removedCount} / ↕${structure.movedCount} elements, ${structure.attributeChangeCount} attribute changes`}</summary>
+                            ${text.identical ? '' : `
+                            <div class="details-title">Text (<del>only in ${reference}</del> <ins>only in ${candidate}</ins>)</div>
+                            <div class="text-diff">${textHtml}${text.truncated ? ' <span class="skipped">… truncated …</span>' : ''}</div>`}
+                            ${structure.addedCount || structure.removedCount || structure.movedCount ? `
+                            <div class="details-title">Elements (${structure.productionElements} in ${reference}, ${structure.developmentElements} in ${candidate})</div>
+                            <table class="details-table">
+                                <tr><th>Change</th><th>Element</th><th>Text</th></tr>
+                                ${elementRows(structure.added, `➕ only in ${candidate}`)}
+                                ${elementRows(structure.removed, `➖ only in ${reference}`)}
+                                ${elementRows(structure.moved, '↕ re-ordered')}
+                            </table>` : ''}
+                            ${structure.attributeChangeCount ? `
+                            <div class="details-title">Link and image attributes</div>
+                            <table class="details-table">
+                                <tr><th>Element</th><th>Attribute</th><th>${reference}</th><th>${candidate}</th></tr>
+                                ${structure.attributeChanges.map(change => `
+                                <tr>
+                                    <td><code>${escapeHtml(change.signature)}</code> ${escapeHtml(change.text || '')}</td>
+                                    <td>${change.attribute}</td>
+                                    <td>${escapeHtml(change.production ?? '–')}</td>
+                                    <td>${escapeHtml(change.development ?? '–')}</td>
+                                </tr>`).join('')}
+                            </table>` : ''}
+                        </details>`;
+}
+
+// Console errors, uncaught errors and failed requests of one comparison; the issues only the
+// candidate has come first
+function renderIssues(issues, environments) {
+  if (!issues) {
+    return '';
+  }
+
+  const reference = environments.reference.label;
+  const candidate = environments.candidate.label;
+  const total = counts => Object.values(counts).reduce((sum, count) => sum + count, 0);
+  const issueRows = (list, rowClass, change) => list.map(issue => `
+                                <tr class="${rowClass}">
+                                    <td>${change}</td>
+                                    <td>${ISSUE_KINDS[issue.kind]}</td>
+                                    <td>${escapeHtml(issue.message)}${issue.count > 1 ? ` (×${issue.count})` : ''}</td>
+                                    <td class="url">${escapeHtml(issue.url || '')}</td>
+                                </tr>`).join('');
+
+  return `
+                        <details class="page-issues"${issues.newCount ? ' open' : ''}>
+                            <summary>🚨 Issues ${total(issues.productionCounts)} in ${reference} · ${total(issues.developmentCounts)} in ${candidate}
+                                ${issues.newCount ? `<span class="tag different">${issues.newCount} only in ${candidate}</span>` : ''}
+                                ${issues.fixedCount ? `<span class="tag identical">${issues.fixedCount} fixed</span>` : ''}</summary>
+                            ${issues.newCount || issues.fixedCount || issues.sharedCount ? `
+                            <table class="details-table">
+                                <tr><th>Change</th><th>Kind</th><th>Message</th><th>URL</th></tr>
+                                ${issueRows(issues.onlyInDevelopment, 'new-issue', `only in ${candidate}`)}
+                                ${issueRows(issues.onlyInProduction, 'fixed-issue', `only in ${reference}`)}
+                                ${issueRows(issues.shared, '', 'both')}
+                            </table>` : ''}
+                        </details>`;
+}
+
+// Accessibility violations of one comparison: new ones with the element and its screenshot,
+// then the fixed ones
+function renderAccessibility(accessibility, environments) {
+  if (!accessibility) {
+    return '';
+  }
+
+  const reference = environments.reference.label;
+  const candidate = environments.candidate.label;
+  if (accessibility.error) {
+    return `
+                        <details class="page-issues">
+                            <summary>♿ Accessibility not scanned</summary>
+                            <div class="text-diff">${escapeHtml(accessibility.error)}</div>
+                        </details>`;
+  }
+
+  const violationRows = (list, rowClass, change) => list.map(violation => `
+                                <tr class="${rowClass}">
+                                    <td>${change}</td>
+                                    <td><a href="${escapeHtml(violation.helpUrl)}" target="_blank">${escapeHtml(violation.ruleId)}</a><br><small>${escapeHtml(violation.help)}</small></td>
+                                    <td>${violation.impact}</td>
+                                    <td><code>${escapeHtml(violation.target.join(' '))}</code><br><small>${escapeHtml(violation.html)}</small></td>
+                                    <td>${violation.screenshotPath ? `<a href="${violation.screenshotPath}" target="_blank"><img class="a11y-element" src="${violation.screenshotPath}" alt="${escapeHtml(violation.ruleId)} element" loading="lazy"></a>` : ''}</td>
+                                </tr>`).join('');
+
+  return `
+                        <details class="page-issues"${accessibility.newCount ? ' open' : ''}>
+                            <summary>♿ Accessibility ${accessibility.productionCount} violations in ${reference} · ${accessibility.developmentCount} in ${candidate}
+                                ${accessibility.newCount ? `<span class="tag different">${accessibility.newCount} new</span>` : ''}
+                                ${accessibility.fixedCount ? `<span class="tag identical">${accessibility.fixedCount} fixed</span>` : ''}</summary>
+                            ${accessibility.newCount || accessibility.fixedCount ? `
+                            <table class="details-table">
+                                <tr><th>Change</th><th>Rule</th><th>Impact</th><th>Element</th><th></th></tr>
+                                ${violationRows(accessibility.newViolations, 'new-issue', `new in ${candidate}`)}
+                                ${violationRows(accessibility.fixedViolations, 'fixed-issue', `fixed in ${candidate}`)}
+                            </table>` : ''}
+                        </details>`;
+}
+
+// Responsive layout problems of one comparison: new ones first, then fixed and shared ones
+function renderLayout(layout, environments) {
+  if (!layout) {
+    return '';
+  }
+
+  const reference = environments.reference.label;
+  const candidate = environments.candidate.label;
+  const problemRows = (list, rowClass, change) => list.map(problem => `
+                                <tr class="${rowClass}">
+                                    <td>${change}</td>
+                                    <td>${LAYOUT_CHECKS[problem.check]}</td>
+                                    <td><code>${escapeHtml(problem.selector)}</code><br><small>${escapeHtml(problem.text)}</small></td>
+                                    <td>${escapeHtml(problem.detail)}</td>
+                                </tr>`).join('');
+
+  return `
+                        <details class="page-issues"${layout.newCount ? ' open' : ''}>
+                            <summary>📐 Layout ${layout.productionCount} problems in ${reference} · ${layout.developmentCount} in ${candidate}${layout.touch ? ' (with touch checks)' : ''}
+                                ${layout.newCount ? `<span class="tag different">${layout.newCount} new</span>` : ''}
+                                ${layout.fixedCount ? `<span class="tag identical">${layout.fixedCount} fixed</span>` : ''}</summary>
+                            ${layout.newCount || layout.fixedCount || layout.shared.length ? `
+                            <table class="details-table">
+                                <tr><th>Change</th><th>Check</th><th>Element</th><th>Details</th></tr>
+                                ${problemRows(layout.newProblems, 'new-issue', `new in ${candidate}`)}
+                                ${problemRows(layout.fixedProblems, 'fixed-issue', `fixed in ${candidate}`)}
+                                ${problemRows(layout.shared, '', 'both')}
+                            </table>` : ''}
+                        </details>`;
+}
+
+// SEO metadata of one comparison: risks of the candidate first, then every field that differs
+function renderSeo(seo, environments) {
+  if (!seo) {
+    return '';
+  }
+
+  const reference = environments.reference.label;
+  const candidate = environments.candidate.label;
+  const shorten = value => (value === null ? '–' : escapeHtml(value.length > 300 ? `${value.slice(0, 300)}…` : value));
+  const riskRows = (list, rowClass, environment) => list.map(risk => `
+                                <tr class="${rowClass}">
+                                    <td>${environment}</td>
+                                    <td>${SEO_RISKS[risk.risk]}</td>
+                                    <td colspan="2">${escapeHtml(risk.detail)}</td>
+                                </tr>`).join('');
+  const riskKey = risk => `${risk.risk}|${risk.detail}`;
+  const newKeys = new Set(seo.newRisks.map(riskKey));
+  const existingRisks = seo.developmentRisks.filter(risk => !newKeys.has(riskKey(risk)));
+
+  return `
+                        <details class="page-issues"${seo.newRisks.length ? ' open' : ''}>
+                            <summary>🔎 SEO ${seo.identical ? 'metadata identical' : `${seo.differences.length} fields differ`}
+                                ${seo.newRisks.length ? `<span class="tag different">${seo.newRisks.length} new risks</span>` : ''}</summary>
+                            ${seo.differences.length || seo.developmentRisks.length || seo.productionRisks.length ? `
+                            <table class="details-table">
+                                <tr><th></th><th>Field</th><th>${reference}</th><th>${candidate}</th></tr>
+                                ${riskRows(seo.newRisks, 'new-issue', `new risk in ${candidate}`)}
+                                ${riskRows(existingRisks, '', `risk in ${candidate}`)}
+                                ${riskRows(seo.productionRisks, '', `risk in ${reference}`)}
+                                ${seo.differences.map(difference => `
+                                <tr>
+                                    <td>differs</td>
+                                    <td>${escapeHtml(difference.field)}</td>
+                                    <td>${shorten(difference.production)}</td>
+                                    <td>${shorten(difference.development)}</td>
+                                </tr>`).join('')}
+                            </table>` : ''}
+                        </details>`;
+}
+
+function formatBytes(bytes) {
+  if (bytes === null || bytes === undefined) return '–';
+  return bytes >= 1024 * 1024 ? `${(bytes / 1024 / 1024).toFixed(2)} MB` : `${(bytes / 1024).toFixed(1)} KB`;
+}
+
+// Loaded-asset inventory diff of one comparison: added and removed assets, then assets that
+// grew, changed content, status or cache headers
+function renderAssets(assets, environments) {
+  if (!assets) {
+    return '';
+  }
+
+  const reference = environments.reference.label;
+  const candidate = environments.candidate.label;
+  const { productionTotals: a, developmentTotals: b } = assets;
+  const singleRows = (list, rowClass, change) => list.map(asset => `
+                                <tr class="${rowClass}">
+                                    <td>${change}</td>
+                                    <td>${escapeHtml(asset.type)}</td>
+                                    <td class="url">${escapeHtml(asset.url)}</td>
+                                    <td>${formatBytes(asset.size)}${asset.status !== 200 ? ` <small>(${asset.status ?? 'failed'})</small>` : ''}</td>
+                                </tr>`).join('');
+  const pairRows = (list, change, describe) => list.map(pair => `
+                                <tr>
+                                    <td>${change}</td>
+                                    <td>${escapeHtml(pair.type)}</td>
+                                    <td class="url">${escapeHtml(pair.url)}</td>
+                                    <td>${describe(pair.production, pair.development)}</td>
+                                </tr>`).join('');
+  const changeCount = assets.addedCount + assets.removedCount + assets.grew.length + assets.changedHash.length +
+    assets.changedStatus.length + assets.changedCache.length;
+
+  return `
+                        <details class="page-issues"${assets.addedCount || assets.removedCount ? ' open' : ''}>
+                            <summary>📦 Assets ${a.requests} requests (${formatBytes(a.bytes)}) in ${reference} · ${b.requests} (${formatBytes(b.bytes)}) in ${candidate}
+                                ${assets.addedCount ? `<span class="tag different">${assets.addedCount} added</span>` : ''}
+                                ${assets.removedCount ? `<span class="tag different">${assets.removedCount} removed</span>` : ''}
+                                ${assets.changedHash.length ? `<span class="tag within-tolerance">${assets.changedHash.length} changed</span>` : ''}</summary>
+                            ${changeCount ? `
+                            <table class="details-table">
+                                <tr><th>Change</th><th>Type</th><th>Asset</th><th>Details</th></tr>
+                                ${singleRows(assets.added, 'new-issue', `only in ${candidate}`)}
+                                ${singleRows(assets.removed, 'fixed-issue', `only in ${reference}`)}
+                                ${pairRows(assets.grew, 'grew', (x, y) => `${formatBytes(x.size)} → ${formatBytes(y.size)}`)}
+                                ${pairRows(assets.changedHash, 'content changed', (x, y) => `${x.hash} → ${y.hash} <small>${formatBytes(x.size)} → ${formatBytes(y.size)}</small>`)}
+                                ${pairRows(assets.changedStatus, 'status changed', (x, y) => `${x.status ?? 'failed'} → ${y.status ?? 'failed'}`)}
+                                ${pairRows(assets.changedCache, 'cache changed', (x, y) => `${escapeHtml(x.cacheControl || '–')} → ${escapeHtml(y.cacheControl || '–')}`)}
+                            </table>` : ''}
+                        </details>`;
+}
+
+// Time a page took to become ready; approved baselines are not loaded at all
+function readyTime(stabilization) {
+  return stabilization ? `${stabilization.durationMs} ms` : '-';
+}
+
+// One comparison card: header with status plus the diff viewer
+function renderDeviceCard(deviceData, environments) {
+  const reference = environments.reference.label;
+  const candidate = environments.candidate.label;
+
+  return `
+                    <div class="comparison-card">
+                        <div class="card-header">
+                            <div>
+                                <div class="device-title">${deviceData.device}</div>
+                                <div class="viewport-info">${deviceData.browser} · ${deviceData.viewport.width} × ${deviceData.viewport.height}</div>
+                            </div>
+                            <div>
+                                <div class="status ${deviceData.status.replace(' ', '-')}">
+                                    ${statusLabel(deviceData)}
+                                </div>
+                                <div class="diff-stats">${deviceData.mismatchPercentage}% · ${deviceData.diffPixels} px · ${deviceData.changedRegions} regions</div>
+                                ${deviceData.baseline ? `<div class="diff-stats">approved by ${escapeHtml(deviceData.baseline.approvedBy)} · ${deviceData.baseline.approvedAt.slice(0, 10)} · from ${escapeHtml(deviceData.baseline.environment.label)}</div>` : ''}
+                                ${deviceData.stabilization ? `<div class="diff-stats">ready after ${readyTime(deviceData.stabilization.production)} / ${readyTime(deviceData.stabilization.development)}</div>` : ''}
+                                ${deviceData.maskedCount || deviceData.ignoredRegions.length ? `<div class="diff-stats">${deviceData.maskedCount} masked · ${deviceData.ignoredRegions.length} ignored</div>` : ''}
+                            </div>
+                        </div>
+                        <div class="viewer" data-mode="side-by-side" data-zoom="fit">
+                            <div class="viewer-toolbar">
+                                <button type="button" class="active" data-mode="side-by-side">Side by side</button>
+                                <button type="button" data-mode="swipe">Swipe</button>
+                                <button type="button" data-mode="onion">Onion skin</button>
+                                <button type="button" data-mode="blink">Blink</button>
+                                <button type="button" data-mode="diff">Diff overlay</button>
+                                <label class="viewer-slider-label" hidden>
+                                    <input type="range" class="viewer-slider" min="0" max="100" value="50">
+                                </label>
+                                <span class="spacer"></span>
+                                <label>Zoom
+                                    <select class="viewer-zoom">
+                                        <option value="fit">Fit</option>
+                                        <option value="0.25">25%</option>
+                                        <option value="0.5">50%</option>
+                                        <option value="1">100%</option>
+                                        <option value="2">200%</option>
+                                    </select>
+                                </label>
+                                <label><input type="checkbox" class="viewer-sync" checked> Sync scroll</label>
+                            </div>
+                            <div class="screenshots">
+                                <div class="screenshot-container">
+                                    <div class="env-label">🟢 ${reference}</div>
+                                    <div class="viewer-pane">
+                                        <div class="masked-image">
+                                            <img src="${deviceData.prodPath}" alt="${reference} ${deviceData.device}" loading="lazy">
+                                            ${renderMaskOverlays(deviceData.maskedAreas.production, deviceData.ignoredRegions, deviceData.productionSize)}
+                                        </div>
+                                    </div>
+                                </div>
+                                <div class="screenshot-container">
+                                    <div class="env-label">🔵 ${candidate}</div>
+                                    <div class="viewer-pane">
+                                        <div class="masked-image">
+                                            <img src="${deviceData.devPath}" alt="${candidate} ${deviceData.device}" loading="lazy">
+                                            ${renderMaskOverlays(deviceData.maskedAreas.development, deviceData.ignoredRegions, deviceData.developmentSize)}
+                                        </div>
+                                    </div>
+                                </div>
+                                <div class="screenshot-container">
+                                    <div class="env-label">🔴 Diff</div>
+                                    <div class="viewer-pane">
+                                        <img src="${deviceData.diffPath}" alt="Diff ${deviceData.device}" loading="lazy">
+                                    </div>
+                                </div>
+                            </div>
+                            <div class="viewer-stage">
+                                <div class="viewer-stage-label"></div>
+                                <div class="viewer-pane">
+                                    <div class="viewer-layers">
+                                        <img class="layer-dev" src="${deviceData.devPath}" alt="${candidate} ${deviceData.device}" loading="lazy">
+                                        <img class="layer-top layer-prod" src="${deviceData.prodPath}" alt="${reference} ${deviceData.device}" loading="lazy">
+                                        <img class="layer-top layer-diff" src="${deviceData.diffPath}" alt="Diff ${deviceData.device}" loading="lazy">
+                                        <div class="viewer-swipe-handle"></div>
+                                    </div>
+                                </div>
+                            </div>
+                        </div>
+                        ${renderComponentTable(deviceData.components, environments)}
+                        ${renderDomDiff(deviceData.dom, environments)}
+                        ${renderIssues(deviceData.issues, environments)}
+                        ${renderAccessibility(deviceData.accessibility, environments)}
+                        ${renderLayout(deviceData.layout, environments)}
+                        ${renderSeo(deviceData.seo, environments)}
+                        ${renderAssets(deviceData.assets, environments)}
+                    </div>`;
+}
+
+// All device cards of one page
+function renderPageSection(pageData, environments) {
+  return `
+        <div class="page-section">
+            <div class="page-header">
+                <div class="page-title">${escapeHtml(pageData.title)}</div>
+                <div class="page-urls">
+                    <div>🟢 ${escapeHtml(pageData.productionUrl)}</div>
+                    <div>🔵 ${escapeHtml(pageData.developmentUrl)}</div>
+                </div>
+            </div>
+            
+            <div class="comparison-grid">
+                ${pageData.devices.map(deviceData => renderDeviceCard(deviceData, environments)).join('')}
+            </div>
+        </div>`;
+}
+
+// Paths found in only one environment's sitemap (see scripts/discover-pages.js)
+function renderSitemapDiff(discovered) {
+  if (!discovered || !discovered.sitemapDiff) {
+    return '';
+  }
+
+  const { sitemapDiff, environments } = discovered;
+  return `
+        <div class="sitemap-diff">
+            <h2>🗺️ Sitemap Differences</h2>
+            <div class="sitemap-diff-columns">
+                <div>
+                    <div class="env-label">🟢 Only in ${environments.reference.label} (${sitemapDiff.onlyInProduction.length})</div>
+                    <ul>${sitemapDiff.onlyInProduction.map(pagePath => `<li>${escapeHtml(pagePath)}</li>`).join('')}</ul>
+                </div>
+                <div>
+                    <div class="env-label">🔵 Only in ${environments.candidate.label} (${sitemapDiff.onlyInDevelopment.length})</div>
+                    <ul>${sitemapDiff.onlyInDevelopment.map(pagePath => `<li>${escapeHtml(pagePath)}</li>`).join('')}</ul>
+                </div>
+            </div>
+        </div>`;
+}
+
+// Communities and community sub-pages found on only one environment
+// (see scripts/discover-communities.js)
+function renderCommunityDiff(discovered) {
+  if (!discovered || !discovered.communityDiff) {
+    return '';
+  }
+
+  const { communityDiff, environments } = discovered;
+  const subPageItems = side => communityDiff.subPages.flatMap(entry => entry[side].map(pagePath => `<li>${escapeHtml(pagePath)}</li>`)).join('');
+  return `
+        <div class="sitemap-diff">
+            <h2>🏘️ Community Differences</h2>
+            <div class="sitemap-diff-columns">
+                <div>
+                    <div class="env-label">🟢 Only in ${environments.reference.label} (${communityDiff.onlyInProduction.length})</div>
+                    <ul>${communityDiff.onlyInProduction.map(slug => `<li><strong>${escapeHtml(slug)}</strong></li>`).join('')}${subPageItems('onlyInProduction')}</ul>
+                </div>
+                <div>
+                    <div class="env-label">🔵 Only in ${environments.candidate.label} (${communityDiff.onlyInDevelopment.length})</div>
+                    <ul>${communityDiff.onlyInDevelopment.map(slug => `<li><strong>${escapeHtml(slug)}</strong></li>`).join('')}${subPageItems('onlyInDevelopment')}</ul>
+                </div>
+            </div>
+        </div>`;
+}
+
+// Page sections under a heading per group with the group's comparison counts; pages of no
+// group follow at the end
+function renderPageGroups(reportData, groups, environments) {
+  const renderPages = pages => pages.map(pageData => renderPageSection(pageData, environments)).join('');
+  if (!groups) {
+    return renderPages(reportData);
+  }
+
+  const grouped = new Set();
+  const sections = groups.map(group => {
+    const pages = reportData.filter(pageData => group.pages.includes(pageData.pageUrl));
+    pages.forEach(pageData => grouped.add(pageData));
+    if (!pages.length) {
+      return '';
+    }
+    const counts = countComparisons(pages);
+    return `
+        <h2 class="page-group-title">${escapeHtml(group.title)}
+            <span class="tag identical">${counts.identical} identical</span>
+            ${counts.tolerated ? `<span class="tag within-tolerance">${counts.tolerated} within tolerance</span>` : ''}
+            ${counts.different ? `<span class="tag different">${counts.different} different</span>` : ''}
+        </h2>
+        ${renderPages(pages)}`;
+  });
+  return sections.join('') + renderPages(reportData.filter(pageData => !grouped.has(pageData)));
+}
+
+// Format a performance metric value for the report
+function formatMetric(metric, value) {
+  if (value === null || value === undefined) return '–';
+  const { unit } = METRICS[metric];
+  if (unit === 'ms') return value >= 1000 ? `${(value / 1000).toFixed(2)} s` : `${value} ms`;
+  if (unit === 'bytes') return value >= 1024 * 1024 ? `${(value / 1024 / 1024).toFixed(2)} MB` : `${Math.round(value / 1024)} KB`;
+  return String(value);
+}
+
+// Metrics shown per run in the trend table
+const TREND_METRICS = ['load', 'lcp', 'transferSize'];
+
+// Runs shown in the trend table
+const TREND_RUNS = 10;
+
+// Performance section: the medians of the last run (candidate, with the reference and the
+// change below) and the candidate's medians over the recorded runs
+function renderPerformance(performanceResults, history, environments) {
+  if (!performanceResults.length) {
+    return '';
+  }
+
+  const metricNames = Object.keys(METRICS);
+  const rowLabel = result => `<td>${escapeHtml(result.pageUrl)}</td><td>${escapeHtml(result.device)}</td><td>${escapeHtml(result.browser)}</td>`;
+  const change = value => (value === null ? '' : ` · ${value > 0 ? '+' : ''}${value}%`);
+
+  const latestRows = performanceResults.map(result => `
+                <tr>
+                    ${rowLabel(result)}
+                    ${metricNames.map(metric => {
+                      const values = result.metrics[metric];
+                      return `<td class="${values.overBudget || values.regressed ? 'violation' : ''}">
+                        ${formatMetric(metric, values.candidate)}
+                        <small>${formatMetric(metric, values.reference)}${change(values.changePercent)}</small></td>`;
+                    }).join('')}
+                </tr>`).join('');
+
+  const trendRows = performanceResults.map(result => {
+    const entries = (history[`${result.browser}|${result.device}|${result.pageUrl}`] || []).slice(-TREND_RUNS);
+    return `
+                <tr>
+                    ${rowLabel(result)}
+                    ${entries.map(entry => `<td title="${escapeHtml(entry.reference)} → ${escapeHtml(entry.candidate)}">
+                        ${TREND_METRICS.map(metric => formatMetric(metric, entry.development[metric])).join(' · ')}
+                        <small>${new Date(entry.timestamp).toLocaleDateString()}</small></td>`).join('')}
+                </tr>`;
+  }).join('');
+
+  return `
+        <div class="performance">
+            <h2>⚡ Performance</h2>
+            <p>Medians of ${environments.candidate.label}; below: ${environments.reference.label} and the change. Highlighted values are over budget or regressed.</p>
+            <table class="details-table">
+                <tr><th>Page</th><th>Device</th><th>Browser</th>${metricNames.map(metric => `<th>${METRICS[metric].label}</th>`).join('')}</tr>
+                ${latestRows}
+            </table>
+            <h2>📈 Trend</h2>
+            <p>${TREND_METRICS.map(metric => METRICS[metric].label).join(' · ')} of the candidate over the last ${TREND_RUNS} runs, oldest first.</p>
+            <table class="details-table">
+                <tr><th>Page</th><th>Device</th><th>Browser</th><th colspan="${TREND_RUNS}">Runs</th></tr>
+                ${trendRows}
+            </table>
+        </div>`;
+}
+
+// Link check section: the candidate's link problems grouped by source page, new ones highlighted
+function renderLinks(linkResult) {
+  if (!linkResult) {
+    return '';
+  }
+
+  const { environments } = linkResult;
+  const chain = link => link.chain.length > 1
+    ? `<br><small>${link.chain.map(entry => `${escapeHtml(entry.url)} (${entry.status})`).join(' → ')}</small>`
+    : '';
+  const sections = linkResult.bySource.map(({ source, problems }) => `
+            <h3>${escapeHtml(source)}</h3>
+            <table class="details-table">
+                <tr><th>Link</th><th>Problem</th><th>Details</th></tr>
+                ${problems.map(link => `
+                <tr class="${link.isNew ? 'new-issue' : ''}">
+                    <td>${escapeHtml(link.path)}${chain(link)}</td>
+                    <td>${LINK_PROBLEMS[link.problem]}${link.isNew ? ' <span class="tag different">new</span>' : ''}</td>
+                    <td>${escapeHtml(link.detail || '')}</td>
+                </tr>`).join('')}
+            </table>`).join('');
+
+  return `
+        <div class="link-check">
+            <h2>🔗 Links</h2>
+            <p>${linkResult.checked.development} links checked on ${linkResult.crawled.development} pages of ${environments.candidate.label}
+                (crawled to depth ${linkResult.depth} from the tested pages)${linkResult.checked.production !== null ? `, ${linkResult.checked.production} on ${environments.reference.label}` : ''}.
+                ${linkResult.problemCount} problems, ${linkResult.newCount} not on ${environments.reference.label}.</p>
+            ${sections}
+            ${renderSkippedPages(linkResult)}
+        </div>`;
+}
+
+// Start pages the link check could not crawl, per environment
+function renderSkippedPages(linkResult) {
+  const { environments, skipped } = linkResult;
+  const rows = [['reference', 'production'], ['candidate', 'development']]
+    .flatMap(([role, side]) => (skipped && skipped[side] || []).map(page => `
+                <tr><td>${escapeHtml(environments[role].label)}</td><td>${escapeHtml(page.path)}</td><td>${escapeHtml(page.reason)}</td></tr>`));
+  if (!rows.length) {
+    return '';
+  }
+  return `
+            <h3>⏭️ Pages not crawled</h3>
+            <table class="details-table">
+                <tr><th>Environment</th><th>Page</th><th>Reason</th></tr>
+                ${rows.join('')}
+            </table>`;
+}
+
+// Count identical / within tolerance / different comparisons over all pages
+function countComparisons(reportData) {
+  const counts = { total: 0, identical: 0, tolerated: 0, different: 0 };
+  reportData.forEach(pageData => {
+    pageData.devices.forEach(deviceData => {
+      counts.total++;
+      if (deviceData.isIdentical) {
+        counts.identical++;
+      } else if (deviceData.passed) {
+        counts.tolerated++;
+      } else {
+        counts.different++;
+      }
+    });
+  });
+  return counts;
+}
+
+// Pages and interaction states (see lib/interactions.js) among the page sections
+function countSections(reportData) {
+  const interactions = reportData.filter(pageData => pageData.interaction).length;
+  return { pages: reportData.length - interactions, interactions };
+}
+
+// Render the complete HTML report.
+// `reportData` is a list of page sections ({ pageUrl, interaction, title, productionUrl, developmentUrl, devices: [...] }),
+// `meta` extra header lines and `intro` extra HTML shown before the page sections.
+// `performance` ({ results, history }) adds the performance section, `links` the link
+// check section (a `*-links.json` result), `groups`
+// ([{ title, pages }]) puts the page sections under group headings.
+function renderReport({ title, environments, reportData, viewports, meta = [], intro = '', performance = null, links = null, groups = null }) {
+  const counts = countComparisons(reportData);
+  const sections = countSections(reportData);
+  const browsers = new Set(reportData.flatMap(pageData => pageData.devices.map(deviceData => deviceData.browser)));
+
+  return `
+<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${title}</title>
+    <style>${REPORT_STYLES}    </style>
+</head>
+<body>
+    <div class="header">
+        <h1>🔍 ${title}</h1>
+        <div class="meta">
+            <div>Generated: ${new Date().toLocaleString()}</div>
+            <div>Comparing: ${describePair(environments)}</div>
+            <div>🟢 ${environments.reference.label} (${environments.reference.role}): ${environments.reference.baseUrl}</div>
+            <div>🔵 ${environments.candidate.label} (${environments.candidate.role}): ${environments.candidate.baseUrl}</div>
+            <div>Pages Tested: ${sections.pages}${sections.interactions ? `, plus ${sections.interactions} interaction states` : ''}</div>
+            ${meta.map(line => `<div>${line}</div>`).join('')}
+        </div>
+    </div>
+
+    ${intro}
+
+    ${performance ? renderPerformance(performance.results, performance.history, environments) : ''}
+
+    ${renderLinks(links)}
+
+    ${renderPageGroups(reportData, groups, environments)}
+
+    <div class="summary">
+        <h2>📈 Summary Statistics</h2>
+        <div class="summary-stats">
+            <div class="stat-card">
+                <div class="stat-number">${sections.pages}</div>
+                <div class="stat-label">Pages Tested</div>
+            </div>
+            ${sections.interactions ? `
+            <div class="stat-card">
+                <div class="stat-number">${sections.interactions}</div>
+                <div class="stat-label">Interaction States</div>
+            </div>` : ''}
+            <div class="stat-card">
+                <div class="stat-number">${Object.keys(viewports).length}</div>
+                <div class="stat-label">Device Types</div>
+            </div>
+            <div class="stat-card">
+                <div class="stat-number">${browsers.size}</div>
+                <div class="stat-label">Browsers</div>
+            </div>
+            <div class="stat-card">
+                <div class="stat-number">${counts.identical}</div>
+                <div class="stat-label">Identical Comparisons</div>
+            </div>
+            <div class="stat-card">
+                <div class="stat-number">${counts.tolerated}</div>
+                <div class="stat-label">Within Tolerance</div>
+            </div>
+            <div class="stat-card">
+                <div class="stat-number">${counts.different}</div>
+                <div class="stat-label">Different Comparisons</div>
+            </div>
+        </div>
+    </div>
+
+    <script>${renderViewerScript(environments)}    </script>
+</body>
+</html>`;
+}
+
+// Render the redirect map report: a pass/fail row per redirect of the map, failures first
+function renderRedirectReport(redirectResult) {
+  const { environment, redirects } = redirectResult;
+  const rows = [...redirects].sort((a, b) => Number(a.passed) - Number(b.passed)).map(redirect => `
+                <tr class="${redirect.passed ? 'fixed-issue' : 'new-issue'}">
+                    <td>${redirect.passed ? '✅' : '❌'}</td>
+                    <td>${escapeHtml(redirect.from)}</td>
+                    <td>${escapeHtml(redirect.to)}</td>
+                    <td>${redirect.status ?? '–'} <small>(${redirect.status === redirect.expectedStatus ? 'expected' : `expected ${redirect.expectedStatus}`})</small></td>
+                    <td>${redirect.hopCount} <small>(at most ${redirect.maxHops})</small></td>
+                    <td>${escapeHtml(redirect.finalUrl)} <small>${redirect.finalStatus ?? ''}</small></td>
+                    <td>${escapeHtml(redirect.failures.join(', '))}</td>
+                </tr>`).join('');
+
+  return `
+<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${redirectResult.reportTitle}</title>
+    <style>${REPORT_STYLES}    </style>
+</head>
+<body>
+    <div class="header">
+        <h1>🔀 ${redirectResult.reportTitle}</h1>
+        <div class="meta">
+            <div>Generated: ${new Date().toLocaleString()}</div>
+            <div>Map: ${escapeHtml(redirectResult.map)}</div>
+            <div>🔵 ${environment.label} (${environment.role}): ${environment.baseUrl}</div>
+            <div>Redirects: ${redirects.length} · ${redirectResult.passedCount} passed · ${redirectResult.failedCount} failed</div>
+        </div>
+    </div>
+
+    <div class="link-check redirect-map">
+        <table class="details-table">
+            <tr><th></th><th>From</th><th>To</th><th>Status</th><th>Hops</th><th>Final URL</th><th>Failures</th></tr>
+            ${rows}
+        </table>
+    </div>
+</body>
+</html>`;
+}
+
+// Write a rendered report into the screenshots directory and log where it is
+async function writeReport(fileName, reportHtml) {
+  const reportPath = path.join(SCREENSHOTS_DIR, fileName);
+  await fs.writeFile(reportPath, reportHtml);
+
+  console.log(`\n📊 Report generated successfully!`);
+  console.log(`📂 Location: ${reportPath}`);
+  console.log(`🌐 Open in browser: file://${path.resolve(reportPath)}`);
+  return reportPath;
+}
+
+// Print the comparison counts of a report to the console
+function logSummary(reportData, viewports) {
+  const counts = countComparisons(reportData);
+
+  console.log(`\n📈 Summary:`);
+  const sections = countSections(reportData);
+  console.log(`   📄 Pages tested: ${sections.pages}`);
+  if (sections.interactions) console.log(`   🖱️  Interaction states: ${sections.interactions}`);
+  console.log(`   📱 Device types: ${Object.keys(viewports).length}`);
+  console.log(`   ✅ Identical: ${counts.identical}`);
+  console.log(`   ≈  Within tolerance: ${counts.tolerated}`);
+  console.log(`   ⚠️  Different: ${counts.different}`);
+  console.log(`   📊 Total comparisons: ${counts.total}`);
+}
+
+// Turn the stored capture results of one suite into report data: pages in suite order, each
+// followed by its interaction states (see lib/interactions.js), then devices in viewport order
+// and browsers alphabetically
+function buildReportData(manifest, results) {
+  const deviceOrder = Object.keys(manifest.viewports);
+  const interactionsOf = pageUrl => [...new Set(results
+    .filter(result => result.pageUrl === pageUrl && result.interaction)
+    .map(result => result.interaction))].sort();
+
+  return manifest.pages
+    .flatMap(pageUrl => [null, ...interactionsOf(pageUrl)].map(interaction => ({ pageUrl, interaction })))
+    .map(({ pageUrl, interaction }) => {
+      const pageResults = results
+        .filter(result => result.pageUrl === pageUrl && (result.interaction || null) === interaction)
+        .sort((a, b) => deviceOrder.indexOf(a.device) - deviceOrder.indexOf(b.device) ||
+          a.browser.localeCompare(b.browser));
+
+      if (!pageResults.length) {
+        return null;
+      }
+
+      return {
+        pageUrl,
+        interaction,
+        title: interaction ? `${pageUrl} · 🖱️ ${interaction}` : pageUrl,
+        pageId: pageResults[0].pageId,
+        productionUrl: pageResults[0].productionUrl,
+        developmentUrl: pageResults[0].developmentUrl,
+        devices: pageResults.map(result => ({
+          browser: result.browser,
+          device: result.device,
+          viewport: result.viewport,
+          isIdentical: result.identical,
+          passed: result.passed,
+          status: describeComparison(result),
+          mismatchPercentage: result.mismatchPercentage,
+          diffPixels: result.diffPixels,
+          changedRegions: result.changedRegions.length,
+          maskedAreas: result.maskedAreas || { production: [], development: [] },
+          maskedCount: result.maskedAreas ? result.maskedAreas.production.length : 0,
+          ignoredRegions: result.ignoredRegions || [],
+          productionSize: result.productionSize,
+          developmentSize: result.developmentSize,
+          stabilization: result.stabilization,
+          baseline: result.baseline,
+          dom: result.dom,
+          issues: result.issues,
+          accessibility: result.accessibility && !result.accessibility.error
+            ? {
+                ...result.accessibility,
+                newViolations: result.accessibility.newViolations.map(violation => ({
+                  ...violation,
+                  screenshotPath: violation.screenshotPath && toReportPath(violation.screenshotPath)
+                }))
+              }
+            : result.accessibility,
+          layout: result.layout,
+          seo: result.seo,
+          assets: result.assets,
+          components: (result.components || []).map(component => ({
+            ...component,
+            prodPath: component.productionScreenshotPath && toReportPath(component.productionScreenshotPath),
+            devPath: component.developmentScreenshotPath && toReportPath(component.developmentScreenshotPath),
+            diffPath: component.diffScreenshotPath && toReportPath(component.diffScreenshotPath)
+          })),
+          prodPath: toReportPath(result.productionScreenshotPath),
+          devPath: toReportPath(result.developmentScreenshotPath),
+          diffPath: toReportPath(result.diffScreenshotPath)
+        }))
+      };
+    })
+    .filter(pageData => pageData !== null);
+}
+
+// Performance results in the suite's page and viewport order
+function sortPerformanceResults(manifest, results) {
+  const deviceOrder = Object.keys(manifest.viewports);
+  return [...results].sort((a, b) =>
+    manifest.pages.indexOf(a.pageUrl) - manifest.pages.indexOf(b.pageUrl) ||
+    deviceOrder.indexOf(a.device) - deviceOrder.indexOf(b.device) ||
+    a.browser.localeCompare(b.browser));
+}
+
+// Build every suite's report from the `*-result.json` files and screenshots of the last run.
+// Suites without any stored result (e.g. filtered out of the run) get no report.
+async function buildReports() {
+  const manifests = await readSuiteManifests();
+  const results = await readResults();
+  const performanceResults = await readPerformanceResults();
+  const performanceHistory = await updatePerformanceHistory(performanceResults);
+  const linkResults = await readLinkResults();
+  const redirectResults = await readRedirectResults();
+  const reportPaths = [];
+
+  for (const manifest of manifests) {
+    const reportData = buildReportData(
+      manifest,
+      results.filter(result => result.reportFile === manifest.reportFile)
+    );
+    if (!reportData.length) {
+      continue;
+    }
+
+    console.log(`\n📊 Generating ${manifest.reportTitle}...`);
+    const reportHtml = renderReport({
+      title: manifest.reportTitle,
+      environments: manifest.environments,
+      reportData,
+      viewports: manifest.viewports,
+      meta: manifest.meta,
+      intro: manifest.intro,
+      groups: manifest.pageGroups,
+      links: linkResults.find(result => result.reportFile === manifest.reportFile) || null,
+      performance: {
+        results: sortPerformanceResults(manifest, performanceResults.filter(result => result.reportFile === manifest.reportFile)),
+        history: performanceHistory
+      }
+    });
+    reportPaths.push(await writeReport(manifest.reportFile, reportHtml));
+    logSummary(reportData, manifest.viewports);
+  }
+
+  for (const redirectResult of redirectResults) {
+    console.log(`\n📊 Generating ${redirectResult.reportTitle}...`);
+    reportPaths.push(await writeReport(redirectResult.reportFile, renderRedirectReport(redirectResult)));
+  }
+
+  return reportPaths;
+}
+
+module.exports = {
+  buildReports,
+  buildReportData,
+  renderReport,
+  renderSitemapDiff,
+  renderCommunityDiff,
+  renderRedirectReport,
+  writeReport,
+  logSummary,
+  countComparisons
+};
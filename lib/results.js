@@ -0,0 +1,136 @@
+// @ts-check
+const fs = require('fs').promises;
+const path = require('path');
+const { SCREENSHOTS_DIR } = require('./config');
+
+// Ensure screenshots directory exists
+async function ensureScreenshotsDir() {
+  try {
+    await fs.mkdir(SCREENSHOTS_DIR, { recursive: true });
+    console.log(`📁 Created screenshots directory: ${SCREENSHOTS_DIR}`);
+  } catch (error) {
+    console.log(`📁 Screenshots directory already exists: ${SCREENSHOTS_DIR}`);
+  }
+}
+
+// Suite manifests (report file, title, pages...) read by the report builder
+const SUITES_DIR = path.join(SCREENSHOTS_DIR, 'suites');
+
+// Write a file below the screenshots directory, creating sub-directories (one per browser project)
+async function writeOutputFile(fileName, data) {
+  const filePath = path.join(SCREENSHOTS_DIR, fileName);
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  await fs.writeFile(filePath, data);
+  return filePath;
+}
+
+// Save an image into the screenshots directory and return its path
+async function saveScreenshot(fileName, buffer) {
+  return writeOutputFile(fileName, buffer);
+}
+
+// Save a `<name>-result.json` file and return its path
+async function writeResult(name, result) {
+  return writeOutputFile(`${name}-result.json`, JSON.stringify(result, null, 2));
+}
+
+// Save a `<name>-performance.json` file and return its path
+async function writePerformanceResult(name, result) {
+  return writeOutputFile(`${name}-performance.json`, JSON.stringify(result, null, 2));
+}
+
+// Save a `<name>-form.json` file and return its path
+async function writeFormResult(name, result) {
+  return writeOutputFile(`${name}-form.json`, JSON.stringify(result, null, 2));
+}
+
+// Save a `<name>-consent.json` file and return its path
+async function writeConsentResult(name, result) {
+  return writeOutputFile(`${name}-consent.json`, JSON.stringify(result, null, 2));
+}
+
+// Save a `<name>-links.json` file and return its path
+async function writeLinkResult(name, result) {
+  return writeOutputFile(`${name}-links.json`, JSON.stringify(result, null, 2));
+}
+
+// Save a `<name>-redirects.json` file and return its path
+async function writeRedirectResult(name, result) {
+  return writeOutputFile(`${name}-redirects.json`, JSON.stringify(result, null, 2));
+}
+
+// Describe a suite for the report builder. Every worker writes the same content, so
+// parallel writes are harmless.
+async function writeSuiteManifest(manifest) {
+  return writeOutputFile(path.join('suites', `${manifest.reportFile}.json`), JSON.stringify(manifest, null, 2));
+}
+
+// Read all JSON files of a directory tree that match a file-name filter
+async function readJsonFiles(dir, filter) {
+  let entries;
+  try {
+    entries = await fs.readdir(dir, { withFileTypes: true });
+  } catch (error) {
+    return [];
+  }
+
+  const files = [];
+  for (const entry of entries) {
+    const entryPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      files.push(...await readJsonFiles(entryPath, filter));
+    } else if (filter(entry.name)) {
+      files.push(JSON.parse(await fs.readFile(entryPath, 'utf8')));
+    }
+  }
+  return files;
+}
+
+// Every `*-result.json` the capture tests of the last run wrote
+async function readResults() {
+  return readJsonFiles(SCREENSHOTS_DIR, fileName => fileName.endsWith('-result.json'));
+}
+
+// Every `*-performance.json` the performance tests of the last run wrote
+async function readPerformanceResults() {
+  return readJsonFiles(SCREENSHOTS_DIR, fileName => fileName.endsWith('-performance.json'));
+}
+
+// Every `*-links.json` the link checks of the last run wrote
+async function readLinkResults() {
+  return readJsonFiles(SCREENSHOTS_DIR, fileName => fileName.endsWith('-links.json'));
+}
+
+// Every `*-redirects.json` the redirect map checks of the last run wrote
+async function readRedirectResults() {
+  return readJsonFiles(SCREENSHOTS_DIR, fileName => fileName.endsWith('-redirects.json'));
+}
+
+// Every suite manifest of the last run
+async function readSuiteManifests() {
+  return readJsonFiles(SUITES_DIR, fileName => fileName.endsWith('.json'));
+}
+
+// Path of an output file relative to the screenshots directory, as used in report links
+function toReportPath(filePath) {
+  return path.relative(SCREENSHOTS_DIR, filePath).split(path.sep).join('/');
+}
+
+module.exports = {
+  SUITES_DIR,
+  ensureScreenshotsDir,
+  saveScreenshot,
+  writeResult,
+  writePerformanceResult,
+  writeFormResult,
+  writeConsentResult,
+  writeLinkResult,
+  writeRedirectResult,
+  writeSuiteManifest,
+  readResults,
+  readPerformanceResults,
+  readLinkResults,
+  readRedirectResults,
+  readSuiteManifests,
+  toReportPath
+};
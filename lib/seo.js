@@ -0,0 +1,210 @@
+// @ts-check
+const config = require('../seo.config');
+
+// Risk kinds, with their labels
+const SEO_RISKS = {
+  noindex: 'Not indexable',
+  'platform-canonical': 'Canonical on a platform host',
+  'platform-og-url': 'og:url on a platform host',
+  'insecure-canonical': 'Canonical over http',
+  'multiple-canonicals': 'Several canonicals',
+  'invalid-json-ld': 'Invalid JSON-LD',
+  dropped: 'Dropped'
+};
+
+// Read the metadata of the loaded page: title, description, canonical, robots, Open Graph,
+// Twitter, hreflang alternates and JSON-LD
+async function readMetadata(page) {
+  return page.evaluate(() => {
+    const content = selector => {
+      const element = document.querySelector(selector);
+      return element ? (element.getAttribute('content') || '').trim() : null;
+    };
+    const properties = {};
+    for (const element of document.querySelectorAll('meta[property^="og:"], meta[property^="article:"], meta[name^="twitter:"]')) {
+      const key = element.getAttribute('property') || element.getAttribute('name');
+      // Repeated tags (og:image, article:tag) are joined in document order
+      const value = (element.getAttribute('content') || '').trim();
+      properties[key] = key in properties ? `${properties[key]} | ${value}` : value;
+    }
+
+    const jsonLd = [];
+    for (const script of document.querySelectorAll('script[type="application/ld+json"]')) {
+      try {
+        jsonLd.push({ data: JSON.parse(script.textContent || '') });
+      } catch (error) {
+        jsonLd.push({ error: error.message, source: (script.textContent || '').slice(0, 200) });
+      }
+    }
+
+    return {
+      title: document.title.trim() || null,
+      description: content('meta[name="description"]'),
+      canonicals: [...document.querySelectorAll('link[rel="canonical"]')].map(link => link.getAttribute('href')),
+      robots: content('meta[name="robots"]'),
+      properties,
+      hreflang: [...document.querySelectorAll('link[rel="alternate"][hreflang]')]
+        .map(link => ({ lang: link.getAttribute('hreflang'), href: link.getAttribute('href') })),
+      jsonLd
+    };
+  });
+}
+
+// Types of the JSON-LD items, including those of a @graph ('Organization, WebPage')
+function jsonLdTypes(jsonLd) {
+  const types = [];
+  const visit = item => {
+    if (Array.isArray(item)) return item.forEach(visit);
+    if (!item || typeof item !== 'object') return;
+    if (item['@type']) types.push([].concat(item['@type']).join('/'));
+    if (item['@graph']) visit(item['@graph']);
+  };
+  jsonLd.forEach(entry => visit(entry.data));
+  return types;
+}
+
+// Metadata as flat fields ('title', 'canonical', 'og:image', 'hreflang:en-us', 'json-ld'),
+// with the page's own origin replaced by nothing so both environments compare equal
+function flattenMetadata(metadata) {
+  const { origin } = new URL(metadata.url);
+  const relative = value => (typeof value === 'string'
+    ? value.split(origin).join('').split(origin.replace(/^https:/, 'http:')).join('')
+    : value);
+
+  const fields = {
+    title: metadata.title,
+    description: metadata.description,
+    canonical: metadata.canonicals[0] || null,
+    robots: metadata.robots,
+    'x-robots-tag': metadata.xRobotsTag,
+    ...metadata.properties,
+    'json-ld': metadata.jsonLd.length ? jsonLdTypes(metadata.jsonLd).join(', ') : null,
+    // Content, not just the types
+    'json-ld content': metadata.jsonLd.length ? JSON.stringify(metadata.jsonLd.map(entry => entry.data ?? entry.source)) : null
+  };
+  metadata.hreflang.forEach(({ lang, href }) => { fields[`hreflang:${lang}`] = href; });
+
+  const flat = {};
+  for (const [field, value] of Object.entries(fields)) {
+    if (!config.ignoreFields.includes(field) && value !== null && value !== undefined) {
+      flat[field] = relative(value);
+    }
+  }
+  return flat;
+}
+
+const isPlatformHost = url => {
+  try {
+    const { hostname } = new URL(url);
+    return config.platformHosts.some(pattern => pattern.test(hostname));
+  } catch (error) {
+    return false;
+  }
+};
+
+// Risky metadata of one environment: noindex, canonicals / og:url on a platform host (any on
+// production, another environment's host elsewhere), http canonicals, broken JSON-LD
+function findRisks(metadata, environment) {
+  const risks = [];
+  const production = environment.role === 'production';
+  const pageHost = new URL(metadata.url).hostname;
+  const foreignPlatformUrl = url => isPlatformHost(url) && (production || new URL(url, metadata.url).hostname !== pageHost);
+
+  if (/noindex|none/i.test(metadata.robots || '')) {
+    risks.push({ risk: 'noindex', detail: `robots meta "${metadata.robots}"` });
+  }
+  // Pantheon sends X-Robots-Tag: noindex on its own hosts, so only production counts
+  if (production && /noindex|none/i.test(metadata.xRobotsTag || '')) {
+    risks.push({ risk: 'noindex', detail: `X-Robots-Tag "${metadata.xRobotsTag}"` });
+  }
+
+  const [canonical] = metadata.canonicals;
+  if (metadata.canonicals.length > 1) {
+    risks.push({ risk: 'multiple-canonicals', detail: metadata.canonicals.join(', ') });
+  }
+  if (canonical && foreignPlatformUrl(canonical)) {
+    risks.push({ risk: 'platform-canonical', detail: canonical });
+  }
+  if (canonical && canonical.startsWith('http:') && metadata.url.startsWith('https:')) {
+    risks.push({ risk: 'insecure-canonical', detail: canonical });
+  }
+  const ogUrl = metadata.properties['og:url'];
+  if (ogUrl && foreignPlatformUrl(ogUrl)) {
+    risks.push({ risk: 'platform-og-url', detail: ogUrl });
+  }
+
+  metadata.jsonLd.filter(entry => entry.error)
+    .forEach(entry => risks.push({ risk: 'invalid-json-ld', detail: `${entry.error}: ${entry.source}` }));
+  return risks;
+}
+
+const riskKey = risk => `${risk.risk}|${risk.detail}`;
+
+// Diff the metadata of both environments field by field and list the risks of each.
+// New risks are those of the candidate the reference doesn't have, including key fields
+// (seo.config.js) the candidate dropped.
+function compareSeo(production, development, { environments }) {
+  const productionFields = flattenMetadata(production);
+  const developmentFields = flattenMetadata(development);
+  const fieldNames = [...new Set([...Object.keys(productionFields), ...Object.keys(developmentFields)])];
+
+  const differences = fieldNames
+    .filter(field => productionFields[field] !== developmentFields[field])
+    .map(field => ({ field, production: productionFields[field] ?? null, development: developmentFields[field] ?? null }));
+
+  const productionRisks = findRisks(production, environments.reference);
+  const developmentRisks = findRisks(development, environments.candidate);
+  differences
+    .filter(({ field, production: value, development: other }) => config.keyFields.includes(field) && value !== null && other === null)
+    .forEach(({ field }) => developmentRisks.push({ risk: 'dropped', detail: field }));
+
+  const productionKeys = new Set(productionRisks.map(riskKey));
+  return {
+    identical: !differences.length,
+    differences,
+    productionRisks,
+    developmentRisks,
+    newRisks: developmentRisks.filter(risk => !productionKeys.has(riskKey(risk)))
+  };
+}
+
+// One-line description for logs and assertion messages
+function describeSeoRisk(risk) {
+  return `${SEO_RISKS[risk.risk]}: ${risk.detail}`;
+}
+
+// Collector for captureComparison(): reads the metadata of each environment plus the
+// X-Robots-Tag header of its document response
+function seoCollector() {
+  let xRobotsTag = null;
+  let stopWatching = null;
+  return {
+    key: 'seo',
+    start: page => {
+      xRobotsTag = null;
+      const onResponse = response => {
+        if (response.request().isNavigationRequest() && !response.frame().parentFrame()) {
+          xRobotsTag = response.headers()['x-robots-tag'] || null;
+        }
+      };
+      page.on('response', onResponse);
+      stopWatching = () => page.off('response', onResponse);
+    },
+    collect: async page => {
+      if (stopWatching) stopWatching();
+      stopWatching = null;
+      return { url: page.url(), xRobotsTag, ...await readMetadata(page) };
+    },
+    compare: compareSeo
+  };
+}
+
+module.exports = {
+  SEO_RISKS,
+  readMetadata,
+  flattenMetadata,
+  findRisks,
+  compareSeo,
+  describeSeoRisk,
+  seoCollector
+};
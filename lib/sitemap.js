@@ -0,0 +1,157 @@
+// @ts-check
+const axios = require('axios');
+const fsSync = require('fs');
+const path = require('path');
+const { parseStringPromise } = require('xml2js');
+
+// Sitemap index locations, in the order WordPress plugins usually expose them
+// (Yoast / Rank Math first, then WordPress core, then a plain sitemap.xml)
+const SITEMAP_INDEX_PATHS = ['/sitemap_index.xml', '/wp-sitemap.xml', '/sitemap.xml'];
+
+const REQUEST_TIMEOUT = 30000;
+
+// Page list written by `npm run discover-pages` and picked up by the test files
+const DISCOVERED_PAGES_FILE = path.join(__dirname, '..', 'discovered-pages.json');
+
+// Fetch and parse a single sitemap XML document
+async function fetchSitemapXml(url) {
+  const response = await axios.get(url, {
+    timeout: REQUEST_TIMEOUT,
+    responseType: 'text',
+    headers: { Accept: 'application/xml,text/xml;q=0.9,*/*;q=0.8' }
+  });
+  return parseStringPromise(response.data);
+}
+
+// Collect page URLs from a sitemap, following child sitemaps of a sitemap index
+async function collectSitemapUrls(sitemapUrl, visited = new Set()) {
+  if (visited.has(sitemapUrl)) {
+    return [];
+  }
+  visited.add(sitemapUrl);
+
+  const xml = await fetchSitemapXml(sitemapUrl);
+
+  if (xml && xml.sitemapindex) {
+    const childSitemaps = (xml.sitemapindex.sitemap || [])
+      .map(entry => entry.loc && String(entry.loc[0]).trim())
+      .filter(Boolean);
+
+    const urls = [];
+    for (const childUrl of childSitemaps) {
+      try {
+        urls.push(...await collectSitemapUrls(childUrl, visited));
+      } catch (error) {
+        console.log(`⚠️  Could not read child sitemap ${childUrl}: ${error.message}`);
+      }
+    }
+    return urls;
+  }
+
+  if (xml && xml.urlset) {
+    return (xml.urlset.url || [])
+      .map(entry => entry.loc && String(entry.loc[0]).trim())
+      .filter(Boolean);
+  }
+
+  return [];
+}
+
+// Find the first sitemap index the site exposes and return its URL
+async function findSitemapIndex(baseUrl) {
+  for (const sitemapPath of SITEMAP_INDEX_PATHS) {
+    const sitemapUrl = `${baseUrl}${sitemapPath}`;
+    try {
+      const response = await axios.head(sitemapUrl, {
+        timeout: REQUEST_TIMEOUT,
+        maxRedirects: 5,
+        validateStatus: () => true
+      });
+      if (response.status < 400) {
+        return sitemapUrl;
+      }
+    } catch (error) {
+      // Try the next known location
+    }
+  }
+  throw new Error(`No sitemap found for ${baseUrl} (tried ${SITEMAP_INDEX_PATHS.join(', ')})`);
+}
+
+// Convert an absolute sitemap URL into a site-relative path ('/communities/eagle/')
+function toPagePath(url) {
+  const { pathname, search } = new URL(url);
+  return `${pathname}${search}`;
+}
+
+// Turn a glob-like pattern ('/communities/*/', '/blog/**') into a RegExp.
+// `*` matches within one path segment, `**` matches across segments.
+function patternToRegExp(pattern) {
+  const source = pattern
+    .split('**')
+    .map(part => part
+      .split('*')
+      .map(chunk => chunk.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+      .join('[^/]*'))
+    .join('.*');
+  return new RegExp(`^${source}$`);
+}
+
+// Apply include/exclude patterns and a max-pages cap to a list of paths
+function filterPages(pagePaths, { include = [], exclude = [], maxPages = 0 } = {}) {
+  const includeRegExps = include.map(patternToRegExp);
+  const excludeRegExps = exclude.map(patternToRegExp);
+
+  const filtered = pagePaths.filter(pagePath => {
+    if (includeRegExps.length && !includeRegExps.some(re => re.test(pagePath))) {
+      return false;
+    }
+    return !excludeRegExps.some(re => re.test(pagePath));
+  });
+
+  return maxPages > 0 ? filtered.slice(0, maxPages) : filtered;
+}
+
+// Read every page path listed in a site's sitemap(s), de-duplicated and sorted
+async function discoverPages(baseUrl) {
+  const sitemapUrl = await findSitemapIndex(baseUrl);
+  console.log(`🗺️  Reading sitemap: ${sitemapUrl}`);
+
+  const urls = await collectSitemapUrls(sitemapUrl);
+  const pagePaths = [...new Set(urls.map(toPagePath))].sort();
+
+  console.log(`🗺️  Found ${pagePaths.length} pages in ${baseUrl}`);
+  return pagePaths;
+}
+
+// List paths that appear in only one of the two sitemaps
+function diffSitemaps(productionPaths, developmentPaths) {
+  const productionSet = new Set(productionPaths);
+  const developmentSet = new Set(developmentPaths);
+
+  return {
+    onlyInProduction: productionPaths.filter(pagePath => !developmentSet.has(pagePath)),
+    onlyInDevelopment: developmentPaths.filter(pagePath => !productionSet.has(pagePath))
+  };
+}
+
+// Read the discovery output synchronously (test files are collected synchronously).
+// Returns null when `npm run discover-pages` has not been run.
+function readDiscoveredPages() {
+  if (!fsSync.existsSync(DISCOVERED_PAGES_FILE)) {
+    return null;
+  }
+  return JSON.parse(fsSync.readFileSync(DISCOVERED_PAGES_FILE, 'utf8'));
+}
+
+module.exports = {
+  DISCOVERED_PAGES_FILE,
+  SITEMAP_INDEX_PATHS,
+  collectSitemapUrls,
+  findSitemapIndex,
+  discoverPages,
+  filterPages,
+  diffSitemaps,
+  patternToRegExp,
+  readDiscoveredPages,
+  toPagePath
+};
@@ -0,0 +1,118 @@
+// @ts-check
+
+// Longest a page may take to become ready before it is captured anyway (ms)
+const STABILIZE_TIMEOUT = parseInt(process.env.STABILIZE_TIMEOUT || '10000', 10);
+
+// Layout counts as stable when it is unchanged over this many samples, this far apart
+const STABLE_SAMPLES = 3;
+const SAMPLE_INTERVAL = 150;
+
+// Pause between scroll steps, so lazy loaders see each part of the page
+const SCROLL_PAUSE = 100;
+
+// Upper bound on scroll steps for very long pages
+const MAX_SCROLL_STEPS = 60;
+
+// Wait until the loaded page is ready for a screenshot instead of sleeping a fixed time:
+// web fonts loaded, lazy content triggered by scrolling through the page, images decoded,
+// videos and carousels paused and layout no longer changing. Gives up after `timeout` ms.
+// Returns the time spent in total and per step.
+async function stabilizePage(page, { timeout = STABILIZE_TIMEOUT } = {}) {
+  const startedAt = Date.now();
+
+  const result = await page.evaluate(async ({ timeout, stableSamples, sampleInterval, scrollPause, maxScrollSteps }) => {
+    const deadline = Date.now() + timeout;
+    const steps = {};
+    let timedOut = false;
+
+    const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+    const remaining = () => Math.max(0, deadline - Date.now());
+
+    // Run one step, but never past the deadline
+    const step = async (name, fn) => {
+      const stepStart = Date.now();
+      const finished = await Promise.race([
+        fn().then(() => true, () => true),
+        sleep(remaining()).then(() => false)
+      ]);
+      if (!finished) timedOut = true;
+      steps[name] = Date.now() - stepStart;
+    };
+
+    await step('fonts', async () => {
+      await document.fonts.ready;
+    });
+
+    await step('lazyContent', async () => {
+      document.querySelectorAll('img[loading="lazy"]').forEach(img => img.setAttribute('loading', 'eager'));
+
+      for (let i = 0, y = 0; i < maxScrollSteps && y < document.documentElement.scrollHeight && remaining(); i++) {
+        window.scrollTo(0, y);
+        await sleep(scrollPause);
+        y += Math.max(1, Math.floor(window.innerHeight * 0.8));
+      }
+      window.scrollTo(0, 0);
+    });
+
+    await step('images', async () => {
+      const pending = [...document.images].filter(img => !img.complete);
+      await Promise.all(pending.map(img => new Promise(resolve => {
+        img.addEventListener('load', resolve, { once: true });
+        img.addEventListener('error', resolve, { once: true });
+      })));
+      await Promise.all([...document.images].map(img => img.decode().catch(() => {})));
+    });
+
+    await step('media', async () => {
+      document.querySelectorAll('video').forEach(video => {
+        video.pause();
+        video.currentTime = 0;
+      });
+
+      // Swiper and Slick are the carousels WordPress themes usually ship
+      document.querySelectorAll('.swiper, .swiper-container').forEach(element => {
+        const swiper = /** @type {any} */ (element).swiper;
+        if (swiper && swiper.autoplay) swiper.autoplay.stop();
+      });
+      const jQuery = /** @type {any} */ (window).jQuery;
+      if (jQuery && jQuery.fn && jQuery.fn.slick) {
+        jQuery('.slick-initialized').slick('slickPause');
+      }
+    });
+
+    await step('layout', async () => {
+      const snapshot = () => {
+        const body = document.body.getBoundingClientRect();
+        return `${document.documentElement.scrollHeight}x${document.documentElement.scrollWidth}|${body.height}|${document.images.length}`;
+      };
+
+      let last = snapshot();
+      let unchanged = 0;
+      while (unchanged < stableSamples && remaining()) {
+        await sleep(sampleInterval);
+        const current = snapshot();
+        unchanged = current === last ? unchanged + 1 : 0;
+        last = current;
+      }
+    });
+
+    return { steps, timedOut };
+  }, {
+    timeout,
+    stableSamples: STABLE_SAMPLES,
+    sampleInterval: SAMPLE_INTERVAL,
+    scrollPause: SCROLL_PAUSE,
+    maxScrollSteps: MAX_SCROLL_STEPS
+  });
+
+  return {
+    durationMs: Date.now() - startedAt,
+    timedOut: result.timedOut,
+    steps: result.steps
+  };
+}
+
+module.exports = {
+  STABILIZE_TIMEOUT,
+  stabilizePage
+};
@@ -0,0 +1,771 @@
+// @ts-check
+const fsSync = require('fs');
+const path = require('path');
+const { test } = require('@playwright/test');
+const { expect } = require('./matchers');
+const { VIEWPORTS, NAVIGATION_TIMEOUT } = require('./config');
+const { getEnvironmentPair } = require('./environments');
+const { DEFAULT_PREPARE_STEPS, getPageIdentifier, loadPage, captureComparison } = require('./capture');
+const { summarizeComparison } = require('./pixel-diff');
+const { ensureScreenshotsDir, writeResult, writePerformanceResult, writeFormResult, writeConsentResult, writeLinkResult, writeRedirectResult, writeSuiteManifest } = require('./results');
+const { resolveMaskRules, screenshotMaskOptions, addIgnoreRegionOverlays } = require('./masks');
+const { resolveComponents, componentCollector } = require('./components');
+const { domCollector } = require('./dom-diff');
+const { pageIssuesCollector, describeIssue, failingIssues } = require('./page-issues');
+const { accessibilityCollector, describeViolation } = require('./accessibility');
+const { layoutCollector, describeLayoutProblem } = require('./layout');
+const { seoCollector, describeSeoRisk } = require('./seo');
+const { assetCollector } = require('./assets');
+const { LINK_DEPTH, crawlEnvironment, compareCrawls, describeLinkProblem } = require('./links');
+const { STABILIZE_TIMEOUT } = require('./stabilize');
+const { HAR_MODE, routePageFromHar, describeHarMode } = require('./har');
+const { hasBaseline, readBaseline, baselinePaths } = require('./baselines');
+const { PERF_RUNS, measurePage, summarizeRuns, comparePerformance } = require('./performance');
+const { exerciseForm, formProblems, compareFormResults } = require('./forms');
+const { CONSENT_CHOICES, checkBanners, runConsentChoice, bannerProblems, choiceProblems, compareBannerResults, compareChoiceResults } = require('./consent');
+const { listCommunities } = require('./communities');
+const { REDIRECT_MAP, readRedirectMap, checkRedirect } = require('./redirects');
+const { resolveInteractions, interactionStep } = require('./interactions');
+const componentsConfig = require('../components.config');
+const formsConfig = require('../forms.config');
+const consentConfig = require('../consent.config');
+const communitiesConfig = require('../communities.config');
+
+// Declare a visual comparison suite: for every viewport and page it captures and compares both
+// environments and runs Playwright's built-in screenshot comparison. The HTML report is built
+// from the stored results after the run (see lib/comparison-reporter.js).
+// With HAR_MODE set, pages are recorded into or replayed from HAR archives (see lib/har.js).
+// With REFERENCE_ENV=baseline, the candidate is compared with the approved baselines
+// (see lib/baselines.js) instead of a live reference.
+//
+// Options:
+//   title              describe() title
+//   pages              page paths to test ('/communities/')
+//   reportFile         report file name inside the screenshots directory
+//   reportTitle        heading of the report
+//   viewports          { name: { width, height } }, defaults to VIEWPORTS
+//   includePageInNames add the page id to test titles and file names (off for single-page suites)
+//   namePrefix         prefix of the result file names, for suites sharing pages with another suite
+//   pageGroups         [{ title, pages }] sections the report groups the pages into
+//   prepare            page-preparation steps, defaults to hiding the cookie banner
+//   stabilizeTimeout   longest wait for a page to become ready, in ms (STABILIZE_TIMEOUT)
+//   masks              extra mask rules on top of masks.config.js ({ global, pages })
+//   components         components compared on their own, defaults to components.config.js
+//   performance        also measure load performance of both environments (performance.config.js)
+//   links              also crawl the links of both environments from the pages (links.config.js)
+//   interactions       extra interaction scenarios on top of interactions.config.js, or false
+//                      to capture no interaction states
+//   reportMeta         extra header lines of the report
+//   reportIntro        extra HTML shown before the page sections of the report
+function defineComparisonSuite({
+  title,
+  pages,
+  reportFile,
+  reportTitle,
+  viewports = VIEWPORTS,
+  includePageInNames = true,
+  namePrefix = '',
+  pageGroups = null,
+  prepare = DEFAULT_PREPARE_STEPS,
+  stabilizeTimeout = STABILIZE_TIMEOUT,
+  masks = {},
+  components = componentsConfig,
+  performance = false,
+  links = false,
+  interactions = {},
+  reportMeta = [],
+  reportIntro = ''
+}) {
+  const environments = getEnvironmentPair();
+  const captureOptions = { environments, prepare, stabilizeTimeout };
+
+  // File name base and test title suffix of one page on one device.
+  // Files go into one sub-directory per browser project so parallel projects don't collide.
+  const nameFor = (device, pageId) => `${namePrefix}${includePageInNames ? `${device}-${pageId}` : device}`;
+  const labelFor = (device, pageId) => (includePageInNames ? `${device} - ${pageId}` : device);
+  const projectDir = testInfo => testInfo.project.name || 'default';
+
+  test.describe(title, () => {
+    test.beforeAll(async () => {
+      await ensureScreenshotsDir();
+      await writeSuiteManifest({
+        title,
+        reportFile,
+        reportTitle,
+        pages,
+        pageGroups,
+        viewports,
+        environments,
+        meta: [...reportMeta, describeHarMode()].filter(Boolean),
+        intro: reportIntro
+      });
+    });
+
+    // Test 1: Screenshot capture and pixel comparison for all pages
+    for (const [device, viewport] of Object.entries(viewports)) {
+      for (const pageUrl of pages) {
+        const pageId = getPageIdentifier(pageUrl);
+        const label = labelFor(device, pageId);
+
+        test(`📸 Capture screenshots - ${label}`, async ({ page }, testInfo) => {
+          const name = `${projectDir(testInfo)}/${nameFor(device, pageId)}`;
+          const maskRules = resolveMaskRules(pageUrl, device, masks);
+          console.log(`\n🔍 Starting ${device} comparison for ${pageUrl} (${viewport.width}x${viewport.height})`);
+
+          let baseline = null;
+          if (environments.reference.role === 'baseline') {
+            const key = { browser: projectDir(testInfo), device, pageId };
+            baseline = await readBaseline(key);
+            if (!baseline) {
+              throw new Error(`No approved baseline for ${pageUrl} (${baselinePaths(key).imagePath}); approve one with npm run approve`);
+            }
+          }
+
+          const network = await routePageFromHar(page, name);
+          await page.setViewportSize(viewport);
+          const collectors = [
+            componentCollector(resolveComponents(pageUrl, components), maskRules),
+            domCollector(),
+            pageIssuesCollector(),
+            accessibilityCollector(),
+            layoutCollector(device),
+            seoCollector(),
+            assetCollector()
+          ];
+          const capture = await captureComparison(page, { pageUrl, name, masks: maskRules, collectors, baseline, ...captureOptions });
+          const { comparison } = capture;
+
+          await writeResult(name, {
+            reportFile,
+            browser: projectDir(testInfo),
+            device,
+            pageUrl,
+            pageId,
+            viewport,
+            timestamp: new Date().toISOString(),
+            network,
+            environments,
+            productionUrl: capture.productionUrl,
+            developmentUrl: capture.developmentUrl,
+            ...summarizeComparison(comparison),
+            maskRules,
+            maskedAreas: capture.maskedAreas,
+            stabilization: capture.stabilization,
+            baseline: baseline && baseline.metadata,
+            ...capture.collected,
+            productionScreenshotPath: capture.prodPath,
+            developmentScreenshotPath: capture.devPath,
+            diffScreenshotPath: capture.diffPath
+          });
+
+          if (comparison.identical) {
+            console.log(`✅ ${label}: Screenshots are identical`);
+          } else if (comparison.passed) {
+            console.log(`✅ ${label}: ${comparison.mismatchPercentage}% differs (within ${comparison.tolerance}% tolerance)`);
+          } else {
+            console.log(`⚠️  ${label}: ${comparison.mismatchPercentage}% differs (${comparison.diffPixels} pixels, ${comparison.changedRegions.length} regions)`);
+          }
+
+          const { production: prodReady, development: devReady } = capture.stabilization;
+          console.log(`   ⏱️  Ready after ${prodReady ? `${prodReady.durationMs}ms` : '-'} / ${devReady.durationMs}ms`);
+
+          // Collectors only run against a live reference
+          if (capture.collected.dom) {
+            const { text, structure } = capture.collected.dom;
+            console.log(`   📝 Text: ${text.identical ? 'identical' : `+${text.addedWords} / -${text.removedWords} words`}`);
+            console.log(`   🏗️  Structure: ${structure.identical ? 'identical' : `+${structure.addedCount} / -${structure.removedCount} elements, ${structure.movedCount} moved, ${structure.attributeChangeCount} attribute changes`}`);
+          }
+
+          const { issues } = capture.collected;
+          if (issues) {
+            const counts = kinds => Object.values(kinds).reduce((sum, count) => sum + count, 0);
+            console.log(`   🚨 Issues: ${counts(issues.productionCounts)} / ${counts(issues.developmentCounts)}, ${issues.newCount} only in ${environments.candidate.label}`);
+            issues.onlyInDevelopment.forEach(issue => console.log(`      ${describeIssue(issue)}`));
+            expect.soft(failingIssues(issues).map(describeIssue),
+              `${label} new issues on ${environments.candidate.label}`).toEqual([]);
+          }
+
+          const { accessibility } = capture.collected;
+          if (accessibility && accessibility.error) {
+            console.log(`   ♿ Accessibility: not scanned (${accessibility.error})`);
+          } else if (accessibility) {
+            console.log(`   ♿ Accessibility: ${accessibility.productionCount} / ${accessibility.developmentCount} violations, ${accessibility.newCount} new, ${accessibility.fixedCount} fixed`);
+            // Existing violations are reported; only new ones fail the test
+            expect.soft(accessibility.newViolations.map(describeViolation),
+              `${label} new accessibility violations on ${environments.candidate.label}`).toEqual([]);
+          }
+
+          const { layout } = capture.collected;
+          if (layout) {
+            console.log(`   📐 Layout: ${layout.productionCount} / ${layout.developmentCount} problems, ${layout.newCount} new, ${layout.fixedCount} fixed`);
+            layout.newProblems.forEach(problem => console.log(`      ${describeLayoutProblem(problem)}`));
+            expect.soft(layout.newProblems.map(describeLayoutProblem),
+              `${label} new layout problems on ${environments.candidate.label}`).toEqual([]);
+          }
+
+          const { seo } = capture.collected;
+          if (seo) {
+            console.log(`   🔎 SEO: ${seo.identical ? 'metadata identical' : `${seo.differences.length} fields differ`}, ${seo.newRisks.length} new risks`);
+            seo.newRisks.forEach(risk => console.log(`      ${describeSeoRisk(risk)}`));
+            expect.soft(seo.newRisks.map(describeSeoRisk), `${label} SEO risks on ${environments.candidate.label}`).toEqual([]);
+          }
+
+          const { assets } = capture.collected;
+          if (assets) {
+            console.log(`   📦 Assets: ${assets.productionTotals.requests} / ${assets.developmentTotals.requests} requests, +${assets.addedCount} / -${assets.removedCount}, ${assets.changedHash.length} changed, ${assets.grew.length} grew`);
+          }
+
+          for (const component of capture.collected.components || []) {
+            if (component.status === 'compared') {
+              console.log(`   🧩 ${component.name}: ${component.mismatchPercentage}% differs`);
+              expect.soft(component.mismatchPercentage, `${label} component ${component.name} mismatch % (diff: ${component.diffScreenshotPath})`)
+                .toBeLessThanOrEqual(component.tolerance);
+            } else {
+              console.log(`   🧩 ${component.name}: ${component.status}`);
+              expect.soft(component.status, `${label} component ${component.name} (${component.selector})`)
+                .not.toMatch(/^missing in /);
+            }
+          }
+
+          expect(comparison.mismatchPercentage, `${label} mismatch % (diff: ${capture.diffPath})`)
+            .toBeLessThanOrEqual(comparison.tolerance);
+        });
+      }
+    }
+
+    // Test 2: Playwright assertions whose images end up in Playwright's HTML report:
+    // the candidate page against a fresh render of the reference (toMatchEnvironment), and both
+    // against the approved baselines (toHaveScreenshot, baselines/<browser>/<device>/<pageId>.png)
+    for (const [device, viewport] of Object.entries(viewports)) {
+      for (const pageUrl of pages) {
+        const pageId = getPageIdentifier(pageUrl);
+        const name = nameFor(device, pageId);
+        const label = labelFor(device, pageId);
+
+        test(`🎯 Playwright visual comparison - ${label}`, async ({ page }, testInfo) => {
+          const { reference, candidate } = environments;
+          const liveReference = reference.role !== 'baseline';
+          const approved = hasBaseline({ browser: projectDir(testInfo), device, pageId });
+          test.skip(!liveReference && !approved, `No approved baseline for ${pageUrl} (approve one with npm run approve)`);
+
+          const maskRules = resolveMaskRules(pageUrl, device, masks);
+          const pageOptions = { prepare, stabilizeTimeout, masks: maskRules };
+          const harName = `${projectDir(testInfo)}/${name}`;
+          console.log(`\n🎯 Running Playwright visual comparison for ${device} - ${pageUrl}...`);
+
+          // Both environments stay open side by side, in the same browser context
+          let referencePage = null;
+          if (liveReference) {
+            console.log(`📷 Loading ${device} ${reference.label} for ${pageUrl}...`);
+            referencePage = await page.context().newPage();
+            // Replays the capture test's archive; while recording, that test owns the archive
+            await routePageFromHar(referencePage, harName, { record: false });
+            await referencePage.setViewportSize(viewport);
+            await loadPage(referencePage, `${reference.baseUrl}${pageUrl}`, pageOptions);
+            await addIgnoreRegionOverlays(referencePage, maskRules);
+          }
+
+          console.log(`🔍 Loading ${device} ${candidate.label} for ${pageUrl}...`);
+          await routePageFromHar(page, harName, { record: false });
+          await page.setViewportSize(viewport);
+          await loadPage(page, `${candidate.baseUrl}${pageUrl}`, pageOptions);
+          await addIgnoreRegionOverlays(page, maskRules);
+
+          if (referencePage) {
+            await expect.soft(page, `${candidate.label} matches ${reference.label}`).toMatchEnvironment(referencePage, {
+              masks: maskRules,
+              name
+            });
+          }
+
+          if (approved) {
+            // Resolved by snapshotPathTemplate to baselines/<browser>/<device>/<pageId>.png
+            const snapshotName = [device, `${pageId}.png`];
+            if (referencePage) {
+              await expect.soft(referencePage, `${reference.label} matches the approved baseline`).toHaveScreenshot(snapshotName, {
+                fullPage: true,
+                animations: 'disabled',
+                ...screenshotMaskOptions(referencePage, maskRules),
+                threshold: 0.1, // 10% threshold
+                maxDiffPixels: 1000
+              });
+            }
+            await expect.soft(page, `${candidate.label} matches the approved baseline`).toHaveScreenshot(snapshotName, {
+              fullPage: true,
+              animations: 'disabled',
+              ...screenshotMaskOptions(page, maskRules),
+              threshold: 0.1, // 10% threshold
+              maxDiffPixels: 1000
+            });
+          } else {
+            console.log(`ℹ️  No approved baseline for ${pageUrl} yet (npm run approve)`);
+          }
+
+          console.log(`✅ ${label} comparison completed`);
+        });
+      }
+    }
+
+    // Test 3: Load performance of both environments against budgets and each other
+    if (performance) {
+      for (const [device, viewport] of Object.entries(viewports)) {
+        for (const pageUrl of pages) {
+          const pageId = getPageIdentifier(pageUrl);
+          const label = labelFor(device, pageId);
+
+          test(`⚡ Performance - ${label}`, async ({ browser }, testInfo) => {
+            test.skip(HAR_MODE === 'replay', 'Replayed pages have no real load times');
+            test.setTimeout(PERF_RUNS * 2 * (NAVIGATION_TIMEOUT + 10000));
+
+            const { reference, candidate } = environments;
+            const liveReference = reference.role !== 'baseline';
+            const contextOptions = { viewport, userAgent: testInfo.project.use.userAgent };
+            console.log(`\n⚡ Measuring ${device} performance of ${pageUrl} (${PERF_RUNS} runs)`);
+
+            // Environments take turns, so a slow moment of the network hits both
+            const prodRuns = [];
+            const devRuns = [];
+            for (let run = 0; run < PERF_RUNS; run++) {
+              if (liveReference) {
+                prodRuns.push(await measurePage(browser, `${reference.baseUrl}${pageUrl}`, contextOptions));
+              }
+              devRuns.push(await measurePage(browser, `${candidate.baseUrl}${pageUrl}`, contextOptions));
+            }
+
+            const production = liveReference ? summarizeRuns(prodRuns) : null;
+            const development = summarizeRuns(devRuns);
+            const performanceResult = comparePerformance(production, development);
+
+            await writePerformanceResult(`${projectDir(testInfo)}/${nameFor(device, pageId)}`, {
+              reportFile,
+              browser: projectDir(testInfo),
+              device,
+              pageUrl,
+              pageId,
+              viewport,
+              timestamp: new Date().toISOString(),
+              environments,
+              production,
+              development,
+              ...performanceResult
+            });
+
+            for (const [metric, values] of Object.entries(performanceResult.metrics)) {
+              if (values.candidate === null) continue;
+              console.log(`   ${metric}: ${values.reference ?? '-'} → ${values.candidate}${values.changePercent !== null ? ` (${values.changePercent > 0 ? '+' : ''}${values.changePercent}%)` : ''}`);
+            }
+            expect.soft(performanceResult.violations, `${label} performance of ${candidate.label}`).toEqual([]);
+          });
+        }
+      }
+    }
+
+    // Test 4: Links of both environments, crawled from the pages. Statuses don't depend on the
+    // browser, so only the first project crawls.
+    if (links) {
+      test(`🔗 Link check`, async ({}, testInfo) => {
+        test.skip(testInfo.project.name !== testInfo.config.projects[0].name, 'Links are checked by the first project');
+        test.skip(HAR_MODE === 'replay', 'Links are checked live');
+        test.setTimeout(30 * 60 * 1000);
+
+        const { reference, candidate } = environments;
+        const liveReference = reference.role !== 'baseline';
+        console.log(`\n🔗 Crawling links from ${pages.length} pages, ${LINK_DEPTH} levels deep`);
+
+        const logCrawl = (environment, crawl) => {
+          console.log(`   ${environment.label}: ${crawl.checked} links checked on ${crawl.crawled} pages, ${crawl.skipped.length} skipped`);
+          crawl.skipped.forEach(({ path: pagePath, reason }) => console.log(`      ⏭️  ${pagePath}: ${reason}`));
+        };
+        const production = liveReference ? await crawlEnvironment(reference.baseUrl, pages) : null;
+        if (production) logCrawl(reference, production);
+        const development = await crawlEnvironment(candidate.baseUrl, pages);
+        logCrawl(candidate, development);
+
+        const comparison = compareCrawls(production, development);
+        await writeLinkResult(`${projectDir(testInfo)}/links`, {
+          reportFile,
+          timestamp: new Date().toISOString(),
+          environments,
+          depth: LINK_DEPTH,
+          checked: { production: production && production.checked, development: development.checked },
+          crawled: { production: production && production.crawled, development: development.crawled },
+          skipped: { production: production && production.skipped, development: development.skipped },
+          ...comparison
+        });
+
+        const newProblems = comparison.bySource.flatMap(({ source, problems }) =>
+          problems.filter(link => link.isNew).map(link => describeLinkProblem(source, link)));
+        console.log(`   ${comparison.problemCount} link problems on ${candidate.label}, ${comparison.newCount} new`);
+        newProblems.forEach(problem => console.log(`      ${problem}`));
+        expect.soft(newProblems, `new link problems on ${candidate.label}`).toEqual([]);
+      });
+    }
+
+    // Test 5: Interaction states (open menus, mobile navigation, lightboxes, focused fields),
+    // captured and compared like the pages themselves
+    for (const [device, viewport] of Object.entries(viewports)) {
+      for (const pageUrl of interactions ? pages : []) {
+        const pageId = getPageIdentifier(pageUrl);
+
+        for (const scenario of resolveInteractions(pageUrl, device, interactions)) {
+          const label = `${labelFor(device, pageId)} - ${scenario.name}`;
+          // The scenario is part of the page id so results and baselines don't collide with the page's
+          const statePageId = `${pageId}--${scenario.name}`;
+
+          test(`🖱️ Interaction ${scenario.name} - ${labelFor(device, pageId)}`, async ({ page }, testInfo) => {
+            const name = `${projectDir(testInfo)}/${nameFor(device, pageId)}--${scenario.name}`;
+            const maskRules = resolveMaskRules(pageUrl, device, masks);
+            console.log(`\n🖱️ Starting ${device} interaction ${scenario.name} on ${pageUrl} (${viewport.width}x${viewport.height})`);
+
+            let baseline = null;
+            if (environments.reference.role === 'baseline') {
+              const key = { browser: projectDir(testInfo), device, pageId: statePageId };
+              baseline = await readBaseline(key);
+              if (!baseline) {
+                throw new Error(`No approved baseline for ${pageUrl} (${scenario.name}) (${baselinePaths(key).imagePath}); approve one with npm run approve`);
+              }
+            }
+
+            const network = await routePageFromHar(page, name);
+            await page.setViewportSize(viewport);
+            const capture = await captureComparison(page, {
+              pageUrl,
+              name,
+              masks: maskRules,
+              baseline,
+              ...captureOptions,
+              prepare: [...prepare, interactionStep(scenario)]
+            });
+            const { comparison } = capture;
+
+            await writeResult(name, {
+              reportFile,
+              browser: projectDir(testInfo),
+              device,
+              pageUrl,
+              pageId: statePageId,
+              interaction: scenario.name,
+              viewport,
+              timestamp: new Date().toISOString(),
+              network,
+              environments,
+              productionUrl: capture.productionUrl,
+              developmentUrl: capture.developmentUrl,
+              ...summarizeComparison(comparison),
+              maskRules,
+              maskedAreas: capture.maskedAreas,
+              stabilization: capture.stabilization,
+              baseline: baseline && baseline.metadata,
+              productionScreenshotPath: capture.prodPath,
+              developmentScreenshotPath: capture.devPath,
+              diffScreenshotPath: capture.diffPath
+            });
+
+            if (comparison.identical) {
+              console.log(`✅ ${label}: Screenshots are identical`);
+            } else if (comparison.passed) {
+              console.log(`✅ ${label}: ${comparison.mismatchPercentage}% differs (within ${comparison.tolerance}% tolerance)`);
+            } else {
+              console.log(`⚠️  ${label}: ${comparison.mismatchPercentage}% differs (${comparison.diffPixels} pixels, ${comparison.changedRegions.length} regions)`);
+            }
+
+            expect(comparison.mismatchPercentage, `${label} mismatch % (diff: ${capture.diffPath})`)
+              .toBeLessThanOrEqual(comparison.tolerance);
+          });
+        }
+      }
+    }
+  });
+}
+
+// Declare a form behaviour suite: every form is exercised on both environments (empty,
+// invalid and valid submits, see lib/forms.js) and the two runs are compared. Submissions
+// are intercepted, nothing is sent to the servers.
+//
+// Options:
+//   title              describe() title
+//   forms              { name: { page, selector, successText, response } }, defaults to forms.config.js
+//   viewport           viewport the forms are filled in, defaults to the desktop one
+//   prepare            page-preparation steps, defaults to hiding the cookie banner
+//   stabilizeTimeout   longest wait for a page to become ready, in ms (STABILIZE_TIMEOUT)
+function defineFormSuite({
+  title,
+  forms = formsConfig,
+  viewport = VIEWPORTS.desktop,
+  prepare = DEFAULT_PREPARE_STEPS,
+  stabilizeTimeout = STABILIZE_TIMEOUT
+}) {
+  const environments = getEnvironmentPair();
+  const loadOptions = { prepare, stabilizeTimeout };
+  const projectDir = testInfo => testInfo.project.name || 'default';
+
+  test.describe(title, () => {
+    test.beforeAll(async () => {
+      await ensureScreenshotsDir();
+    });
+
+    for (const [formName, formConfig] of Object.entries(forms)) {
+      test(`📝 Form behaviour - ${formName}`, async ({ page }, testInfo) => {
+        // Three page loads per environment
+        test.setTimeout(6 * (NAVIGATION_TIMEOUT + stabilizeTimeout));
+        const { reference, candidate } = environments;
+        const liveReference = reference.role !== 'baseline';
+        const name = `${projectDir(testInfo)}/form-${formName}`;
+
+        await routePageFromHar(page, name);
+        await page.setViewportSize(viewport);
+
+        console.log(`\n📝 Testing the ${formName} form on ${formConfig.page}`);
+        const production = liveReference
+          ? await exerciseForm(page, `${reference.baseUrl}${formConfig.page}`, formConfig, loadOptions)
+          : null;
+        const development = await exerciseForm(page, `${candidate.baseUrl}${formConfig.page}`, formConfig, loadOptions);
+
+        const problems = {
+          production: production ? formProblems(production) : [],
+          development: formProblems(development)
+        };
+        const differences = production ? compareFormResults(production, development, environments) : [];
+
+        const resultPath = await writeFormResult(name, {
+          browser: projectDir(testInfo),
+          form: formName,
+          pageUrl: formConfig.page,
+          selector: formConfig.selector,
+          viewport,
+          timestamp: new Date().toISOString(),
+          environments,
+          production,
+          development,
+          problems,
+          differences
+        });
+        await testInfo.attach(`${formName}-form.json`, { path: resultPath, contentType: 'application/json' });
+
+        const summarize = (result, label) => {
+          if (!result.found) return `${label}: form not found (${formConfig.selector})`;
+          if (result.lostOnReload) return `${label}: ${result.fields.length} fields, form not found again before the ${result.lostOnReload}`;
+          const { validSubmit } = result;
+          return `${label}: ${result.fields.length} fields, ${validSubmit.submitted ? `sent to ${validSubmit.endpoint}` : 'not sent'}, success message ${validSubmit.success === null ? 'not checked' : validSubmit.success ? 'shown' : 'missing'}`;
+        };
+        if (production) console.log(`   ${summarize(production, reference.label)}`);
+        console.log(`   ${summarize(development, candidate.label)}`);
+        differences.forEach(difference => console.log(`   ⚠️  ${difference}`));
+
+        expect(development.found, `${formName} form on ${candidate.label} (${formConfig.selector})`).toBe(true);
+        if (production) {
+          expect.soft(problems.production, `${formName} form on ${reference.label}`).toEqual([]);
+        }
+        expect.soft(problems.development, `${formName} form on ${candidate.label}`).toEqual([]);
+        expect.soft(differences, `${formName} form: ${candidate.label} behaves like ${reference.label}`).toEqual([]);
+      });
+    }
+  });
+}
+
+// Declare a cookie consent suite (see consent.config.js and lib/consent.js): the banner is
+// checked on every page and viewport as a first-time visitor, then each consent choice is
+// made and checked on the following pages. Both environments have to behave the same.
+//
+// Options:
+//   title              describe() title
+//   viewports          { name: { width, height } } the banner is checked at, defaults to VIEWPORTS
+//   choiceViewport     viewport the consent choices are made at, defaults to the desktop one
+function defineConsentSuite({
+  title,
+  viewports = VIEWPORTS,
+  choiceViewport = VIEWPORTS.desktop
+}) {
+  const environments = getEnvironmentPair();
+  const projectDir = testInfo => testInfo.project.name || 'default';
+
+  // Runs `check` on both environments (only the candidate against a baseline reference),
+  // stores the outcome and asserts it
+  async function checkEnvironments(testInfo, { name, label, check, problemsOf, compare }) {
+    test.skip(HAR_MODE === 'replay', 'Consent needs the live CookieYes script and trackers');
+    const { reference, candidate } = environments;
+    const liveReference = reference.role !== 'baseline';
+
+    const production = liveReference ? await check(reference.baseUrl) : null;
+    const development = await check(candidate.baseUrl);
+    const problems = {
+      production: production ? problemsOf(production) : [],
+      development: problemsOf(development)
+    };
+    const differences = production ? compare(production, development, environments) : [];
+
+    const resultPath = await writeConsentResult(`${projectDir(testInfo)}/${name}`, {
+      browser: projectDir(testInfo),
+      check: name,
+      timestamp: new Date().toISOString(),
+      environments,
+      production,
+      development,
+      problems,
+      differences
+    });
+    await testInfo.attach(`${name}-consent.json`, { path: resultPath, contentType: 'application/json' });
+
+    if (production) problems.production.forEach(problem => console.log(`   ⚠️  ${reference.label}: ${problem}`));
+    problems.development.forEach(problem => console.log(`   ⚠️  ${candidate.label}: ${problem}`));
+    differences.forEach(difference => console.log(`   ↔️  ${difference}`));
+
+    if (production) {
+      expect.soft(problems.production, `${label} on ${reference.label}`).toEqual([]);
+    }
+    expect.soft(problems.development, `${label} on ${candidate.label}`).toEqual([]);
+    expect.soft(differences, `${label}: ${candidate.label} behaves like ${reference.label}`).toEqual([]);
+  }
+
+  test.describe(title, () => {
+    test.beforeAll(async () => {
+      await ensureScreenshotsDir();
+    });
+
+    for (const [device, viewport] of Object.entries(viewports)) {
+      test(`🍪 Consent banner - ${device}`, async ({ browser }, testInfo) => {
+        test.setTimeout(4 * consentConfig.pages.length * (NAVIGATION_TIMEOUT + 10000));
+        const contextOptions = { viewport, userAgent: testInfo.project.use.userAgent };
+        console.log(`\n🍪 Checking the consent banner at ${device} (${viewport.width}x${viewport.height})`);
+
+        await checkEnvironments(testInfo, {
+          name: `consent-banner-${device}`,
+          label: `${device} consent banner`,
+          check: baseUrl => checkBanners(browser, baseUrl, contextOptions),
+          problemsOf: bannerProblems,
+          compare: compareBannerResults
+        });
+      });
+    }
+
+    for (const choice of CONSENT_CHOICES) {
+      test(`🍪 Consent choice - ${choice}`, async ({ browser }, testInfo) => {
+        test.setTimeout(4 * consentConfig.pages.length * (NAVIGATION_TIMEOUT + 10000));
+        const contextOptions = { viewport: choiceViewport, userAgent: testInfo.project.use.userAgent };
+        console.log(`\n🍪 Checking the "${choice}" consent choice`);
+
+        await checkEnvironments(testInfo, {
+          name: `consent-${choice}`,
+          label: `"${choice}" consent choice`,
+          check: baseUrl => runConsentChoice(browser, baseUrl, choice, contextOptions),
+          problemsOf: choiceProblems,
+          compare: compareChoiceResults
+        });
+      });
+    }
+  });
+}
+
+// Declare the tests of a list of communities (see lib/communities.js): a comparison suite over
+// all their pages, grouped per community in the report, the community forms of
+// communities.config.js on every community page, and a check that both environments list
+// the same communities.
+//
+// Options:
+//   title              describe() title prefix
+//   communities        [{ slug, name, path, pages }]
+//   reportFile         report file name inside the screenshots directory
+//   reportTitle        heading of the report
+//   reportMeta         extra header lines of the report
+//   reportIntro        extra HTML shown before the page sections of the report
+function defineCommunitySuite({ title, communities, reportFile, reportTitle, reportMeta = [], reportIntro = '' }) {
+  const environments = getEnvironmentPair();
+
+  defineComparisonSuite({
+    title: `${title} - Visual`,
+    pages: communities.flatMap(community => community.pages),
+    pageGroups: communities.map(community => ({ title: `🏘️ ${community.name}`, pages: community.pages })),
+    namePrefix: 'community-',
+    reportFile,
+    reportTitle,
+    reportMeta,
+    reportIntro
+  });
+
+  const forms = {};
+  for (const community of communities) {
+    for (const formName of communitiesConfig.forms) {
+      if (!formsConfig[formName]) {
+        throw new Error(`Unknown form "${formName}" in communities.config.js (known: ${Object.keys(formsConfig).join(', ')})`);
+      }
+      forms[`${community.slug}-${formName}`] = { ...formsConfig[formName], page: community.path };
+    }
+  }
+  defineFormSuite({ title: `${title} - Forms`, forms });
+
+  test.describe(`${title} - Listing`, () => {
+    test(`🏘️ Communities listed on both environments`, async ({}, testInfo) => {
+      const { reference, candidate } = environments;
+      test.skip(testInfo.project.name !== testInfo.config.projects[0].name, 'The listings are read by the first project');
+      test.skip(reference.role === 'baseline', 'The approved baseline has no community listing');
+      test.skip(HAR_MODE === 'replay', 'The listing is read live');
+
+      const production = await listCommunities(reference.baseUrl);
+      const development = await listCommunities(candidate.baseUrl);
+      const onlyInProduction = production.filter(slug => !development.includes(slug));
+      const onlyInDevelopment = development.filter(slug => !production.includes(slug));
+      console.log(`\n🏘️  ${production.length} communities on ${reference.label}, ${development.length} on ${candidate.label}`);
+
+      expect.soft(onlyInProduction, `communities missing on ${candidate.label}`).toEqual([]);
+      expect.soft(onlyInDevelopment, `communities missing on ${reference.label}`).toEqual([]);
+    });
+  });
+}
+
+// Declare the redirect map check: every old path of the map (see lib/redirects.js) is
+// requested on the candidate environment and its redirect checked. The outcome is written
+// to a report of its own.
+//
+// Options:
+//   title              describe() title
+//   map                CSV or JSON redirect map, defaults to REDIRECT_MAP
+//   reportFile         report file name inside the screenshots directory
+//   reportTitle        heading of the report
+function defineRedirectSuite({ title, map = REDIRECT_MAP, reportFile = 'redirect-report.html', reportTitle = 'Redirect Map Report' }) {
+  const environments = getEnvironmentPair();
+  const projectDir = testInfo => testInfo.project.name || 'default';
+
+  test.describe(title, () => {
+    test(`🔀 Redirect map`, async ({}, testInfo) => {
+      test.skip(testInfo.project.name !== testInfo.config.projects[0].name, 'Redirects are checked by the first project');
+      test.skip(HAR_MODE === 'replay', 'Redirects are checked live');
+      test.skip(!fsSync.existsSync(map), `No redirect map at ${map} (see redirect-map.example.csv)`);
+      test.setTimeout(30 * 60 * 1000);
+
+      const { candidate } = environments;
+      const entries = await readRedirectMap(map);
+      console.log(`\n🔀 Checking ${entries.length} redirects of ${path.basename(map)} on ${candidate.label}`);
+
+      const redirects = [];
+      for (const entry of entries) {
+        redirects.push(await checkRedirect(entry, candidate.baseUrl));
+      }
+      const failed = redirects.filter(redirect => !redirect.passed);
+
+      await ensureScreenshotsDir();
+      await writeRedirectResult(`${projectDir(testInfo)}/redirects`, {
+        reportFile,
+        reportTitle,
+        map: path.basename(map),
+        timestamp: new Date().toISOString(),
+        environment: candidate,
+        passedCount: redirects.length - failed.length,
+        failedCount: failed.length,
+        redirects
+      });
+
+      console.log(`   ${redirects.length - failed.length} passed, ${failed.length} failed`);
+      failed.forEach(redirect => console.log(`   ❌ ${redirect.from}: ${redirect.failures.join(', ')}`));
+      expect.soft(failed.map(redirect => `${redirect.from} → ${redirect.to}: ${redirect.failures.join(', ')}`),
+        `redirects of ${path.basename(map)} on ${candidate.label}`).toEqual([]);
+    });
+  });
+}
+
+module.exports = {
+  defineComparisonSuite,
+  defineFormSuite,
+  defineConsentSuite,
+  defineCommunitySuite,
+  defineRedirectSuite
+};
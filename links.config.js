@@ -0,0 +1,26 @@
+// links.config.js
+// Link crawler of the link check test (see lib/links.js), run on both environments.
+//
+//   depth          how many internal links deep to follow from the tested pages
+//                  (0: only check the links on the tested pages); LINK_DEPTH overrides
+//   maxPages       pages crawled at most per environment
+//   maxRedirects   redirects followed per link before it counts as a redirect loop
+//   checkExternal  also check the status of links to other sites (never crawled)
+//   ignore         links whose URL contains one of these strings or matches one of these
+//                  regular expressions are not checked
+module.exports = {
+  depth: 1,
+
+  maxPages: 200,
+
+  maxRedirects: 10,
+
+  checkExternal: false,
+
+  ignore: [
+    '/wp-admin/',
+    '/wp-login.php',
+    '/feed/',
+    /\?replytocom=/
+  ]
+};
@@ -0,0 +1,37 @@
+// masks.config.js
+// Dynamic content to keep out of the screenshot comparisons.
+//
+// Rules:
+//   hide           selectors made invisible (layout is kept)
+//   mask           selectors painted over with a solid box in both environments
+//   freeze         selectors whose animations, transitions and videos are stopped
+//   ignoreRegions  pixel rectangles of the full-page screenshot left out of the comparison,
+//                  optionally limited to some viewports: { x, y, width, height, devices: ['mobile'] }
+//
+// `global` applies to every page; `pages` keys are page paths or patterns
+// (`*` matches within one path segment, `**` across segments).
+module.exports = {
+  global: {
+    hide: [],
+    mask: [
+      'iframe[src*="google.com/maps"]',
+      'iframe[src*="youtube.com"]',
+      'iframe[src*="vimeo.com"]'
+    ],
+    freeze: [
+      '.swiper',
+      '.slick-slider',
+      'video'
+    ],
+    ignoreRegions: []
+  },
+
+  pages: {
+    '/communities/*/': {
+      mask: [
+        '.swiper',
+        '.slick-slider'
+      ]
+    }
+  }
+};
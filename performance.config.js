@@ -0,0 +1,29 @@
+// performance.config.js
+// Performance checks of suites with `performance: true` (see lib/performance.js).
+//
+//   runs         page loads per environment; medians are compared (PERF_RUNS overrides)
+//   budgets      limits for the candidate environment's medians; leave a metric out to not check it
+//   regressions  largest allowed increase of the candidate over the reference, in % of the
+//                reference median
+//
+// Metrics: ttfb, domContentLoaded, load, lcp (ms), cls, transferSize (bytes), requestCount
+module.exports = {
+  runs: 3,
+
+  budgets: {
+    ttfb: 1000,
+    load: 6000,
+    lcp: 4000,
+    cls: 0.25,
+    transferSize: 8 * 1024 * 1024,
+    requestCount: 200
+  },
+
+  regressions: {
+    ttfb: 50,
+    load: 30,
+    lcp: 30,
+    transferSize: 20,
+    requestCount: 20
+  }
+};
@@ -1,13 +1,21 @@
 // playwright.config.js
 const { defineConfig, devices } = require('@playwright/test');
+const { BASELINES_DIR } = require('./lib/config');
 
 module.exports = defineConfig({
   testDir: './tests',
+  // Tests of the suite itself run with playwright.unit.config.js (npm test)
+  testIgnore: ['unit/**', 'replay/**'],
   fullyParallel: true,
   forbidOnly: !!process.env.CI,
   retries: process.env.CI ? 2 : 0,
   workers: process.env.CI ? 1 : undefined,
-  reporter: 'html',
+  // toHaveScreenshot() compares against the approved baselines (npm run approve)
+  snapshotPathTemplate: `{testDir}/../${BASELINES_DIR}/{projectName}/{arg}{ext}`,
+  reporter: [
+    ['html'],
+    ['./lib/comparison-reporter.js'],
+  ],
   use: {
     baseURL: 'http://localhost:3000',
     trace: 'on-first-retry',
@@ -0,0 +1,33 @@
+// playwright.unit.config.js
+// Tests of the suite itself (npm test), separate from the environment comparisons of
+// playwright.config.js:
+//
+//   tests/unit     the pure functions of lib/ (diffs, comparisons, parsers); no browser needed
+//   tests/replay   captures of a small fixture site replayed from tests/fixtures/hars, so the
+//                  capture pipeline runs without touching the network
+const path = require('path');
+const { defineConfig, devices } = require('@playwright/test');
+
+// lib/har.js reads these when it is loaded
+process.env.HAR_MODE = 'replay';
+process.env.HAR_DIR = path.join(__dirname, 'tests', 'fixtures', 'hars');
+
+module.exports = defineConfig({
+  testDir: './tests',
+  forbidOnly: !!process.env.CI,
+  reporter: 'list',
+  // Traces and attachments of failed self-tests, apart from those of the comparison runs
+  outputDir: 'test-results/self-tests',
+
+  projects: [
+    {
+      name: 'unit',
+      testMatch: 'unit/**/*.spec.js'
+    },
+    {
+      name: 'replay',
+      testMatch: 'replay/**/*.spec.js',
+      use: { ...devices['Desktop Chrome'] }
+    }
+  ]
+});
@@ -0,0 +1,134 @@
+// @ts-check
+// Approve screenshots of the last run as the new baselines:
+//
+//   npm run approve                                      list what the last run captured
+//   npm run approve -- --failed                          approve every page that failed
+//   npm run approve -- --page /communities/ --device mobile --browser chromium
+//   npm run approve -- --all --from reference --by "Jane Doe" --note "Initial baselines"
+//
+// Screenshots are taken from the candidate environment unless `--from reference` is given.
+// The approver defaults to APPROVED_BY, then the git user name.
+const fs = require('fs').promises;
+const { execSync } = require('child_process');
+const { parseArgs } = require('util');
+const { readResults } = require('../lib/results');
+const { approveBaseline, baselinePaths } = require('../lib/baselines');
+const { describeComparison } = require('../lib/pixel-diff');
+
+const { values: options } = parseArgs({
+  options: {
+    page: { type: 'string', multiple: true },
+    device: { type: 'string', multiple: true },
+    browser: { type: 'string', multiple: true },
+    failed: { type: 'boolean', default: false },
+    all: { type: 'boolean', default: false },
+    from: { type: 'string', default: 'candidate' },
+    by: { type: 'string' },
+    note: { type: 'string' },
+    'dry-run': { type: 'boolean', default: false }
+  }
+});
+
+// Who approves: --by, APPROVED_BY, git user name, OS user
+function approver() {
+  if (options.by) return options.by;
+  if (process.env.APPROVED_BY) return process.env.APPROVED_BY;
+  try {
+    const name = execSync('git config user.name', { encoding: 'utf8' }).trim();
+    if (name) return name;
+  } catch (error) {
+    // Not a git checkout
+  }
+  return process.env.USER || 'unknown';
+}
+
+// Page of a result with its interaction state, if any (see lib/interactions.js)
+const pageLabel = result => (result.interaction ? `${result.pageUrl} (${result.interaction})` : result.pageUrl);
+
+// The latest result of every browser, device, page and interaction state (suites may capture
+// the same page)
+function latestResults(results) {
+  const latest = new Map();
+  for (const result of results) {
+    const key = `${result.browser}|${result.device}|${result.pageUrl}|${result.interaction || ''}`;
+    const known = latest.get(key);
+    if (!known || known.timestamp < result.timestamp) {
+      latest.set(key, result);
+    }
+  }
+  return [...latest.values()].sort((a, b) =>
+    pageLabel(a).localeCompare(pageLabel(b)) || a.device.localeCompare(b.device) || a.browser.localeCompare(b.browser));
+}
+
+function matches(result) {
+  if (options.page && !options.page.includes(result.pageUrl)) return false;
+  if (options.device && !options.device.includes(result.device)) return false;
+  if (options.browser && !options.browser.includes(result.browser)) return false;
+  if (options.failed && result.passed) return false;
+  return true;
+}
+
+async function main() {
+  if (!['candidate', 'reference'].includes(options.from)) {
+    throw new Error(`--from must be candidate or reference, not "${options.from}"`);
+  }
+
+  const results = latestResults(await readResults());
+  if (!results.length) {
+    console.log('📊 No comparison results found - run the capture tests first');
+    return;
+  }
+
+  const hasSelection = options.all || options.failed || options.page || options.device || options.browser;
+  if (!hasSelection) {
+    console.log('📋 Results of the last run (select with --page, --device, --browser, --failed or --all):');
+    results.forEach(result => {
+      console.log(`   ${pageLabel(result)} · ${result.device} · ${result.browser}: ${describeComparison(result)} (${result.mismatchPercentage}%)`);
+    });
+    return;
+  }
+
+  const selected = results.filter(matches);
+  if (!selected.length) {
+    console.log('📋 No result matches the selection');
+    return;
+  }
+
+  const approvedBy = approver();
+  for (const result of selected) {
+    const fromReference = options.from === 'reference';
+    const environment = fromReference ? result.environments.reference : result.environments.candidate;
+    if (environment.role === 'baseline') {
+      throw new Error(`${pageLabel(result)} was compared with the approved baseline itself; approve from the candidate`);
+    }
+
+    const key = { browser: result.browser, device: result.device, pageId: result.pageId };
+    if (options['dry-run']) {
+      console.log(`🔎 Would approve ${environment.label} ${pageLabel(result)} · ${result.device} · ${result.browser} → ${baselinePaths(key).imagePath}`);
+      continue;
+    }
+
+    const { imagePath } = await approveBaseline({
+      ...key,
+      pageUrl: result.pageUrl,
+      viewport: result.viewport,
+      image: await fs.readFile(fromReference ? result.productionScreenshotPath : result.developmentScreenshotPath),
+      ignoreRegions: result.ignoredRegions,
+      environment,
+      sourceUrl: fromReference ? result.productionUrl : result.developmentUrl,
+      capturedAt: result.timestamp,
+      approvedBy,
+      note: options.note
+    });
+    console.log(`✅ Approved ${environment.label} ${pageLabel(result)} · ${result.device} · ${result.browser}: ${imagePath}`);
+  }
+
+  if (!options['dry-run']) {
+    console.log(`\n📂 ${selected.length} baseline(s) approved by ${approvedBy} - commit the baselines directory to keep them`);
+  }
+}
+
+main().catch(error => {
+  console.error(`❌ Approval failed: ${error.message}`);
+  process.exit(1);
+});
@@ -0,0 +1,16 @@
+// @ts-check
+// Rebuild the comparison reports from the results of the last run without running any test:
+//
+//   npm run report
+const { buildReports } = require('../lib/report');
+
+buildReports()
+  .then(reportPaths => {
+    if (!reportPaths.length) {
+      console.log('📊 No comparison results found - run the capture tests first');
+    }
+  })
+  .catch(error => {
+    console.error(`❌ Could not build comparison report: ${error.message}`);
+    process.exit(1);
+  });
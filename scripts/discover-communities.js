@@ -0,0 +1,69 @@
+// @ts-check
+// Find every community on the /communities/ listing of both environments, with its sub-pages.
+//
+//   npm run discover-communities
+//   COMMUNITIES_MAX=5 npm run discover-communities
+//
+// Writes discovered-communities.json, which tests/communities.test.js generates its tests
+// from. Communities found on only one environment are listed in the report.
+const fs = require('fs').promises;
+const {
+  DISCOVERED_COMMUNITIES_FILE,
+  MAX_COMMUNITIES,
+  discoverCommunities,
+  diffCommunities
+} = require('../lib/communities');
+const { getEnvironmentPair } = require('../lib/environments');
+
+// Environments to read - see environments.config.js (REFERENCE_ENV / CANDIDATE_ENV)
+const ENVIRONMENTS = getEnvironmentPair();
+
+async function main() {
+  if (ENVIRONMENTS.reference.role === 'baseline') {
+    throw new Error('the approved baseline has no community listing, set REFERENCE_ENV to a live environment');
+  }
+
+  const productionCommunities = await discoverCommunities(ENVIRONMENTS.reference.baseUrl);
+
+  let developmentCommunities = [];
+  let communityDiff = null;
+  try {
+    developmentCommunities = await discoverCommunities(ENVIRONMENTS.candidate.baseUrl);
+    communityDiff = diffCommunities(productionCommunities, developmentCommunities);
+  } catch (error) {
+    console.log(`⚠️  Could not read ${ENVIRONMENTS.candidate.label} communities: ${error.message}`);
+  }
+
+  // Communities of both environments are tested, so one missing on either side shows up as
+  // a failed page there
+  const candidateOnly = developmentCommunities.filter(community =>
+    !productionCommunities.some(other => other.slug === community.slug));
+  const allCommunities = [...productionCommunities, ...candidateOnly].sort((a, b) => a.slug.localeCompare(b.slug));
+  const communities = MAX_COMMUNITIES > 0 ? allCommunities.slice(0, MAX_COMMUNITIES) : allCommunities;
+
+  const discovered = {
+    timestamp: new Date().toISOString(),
+    environments: ENVIRONMENTS,
+    totalFound: allCommunities.length,
+    communities,
+    communityDiff
+  };
+
+  await fs.writeFile(DISCOVERED_COMMUNITIES_FILE, JSON.stringify(discovered, null, 2));
+
+  console.log(`\n🏘️  Communities selected: ${communities.length} of ${allCommunities.length}`);
+  if (communityDiff) {
+    console.log(`🟢 Only in ${ENVIRONMENTS.reference.label}: ${communityDiff.onlyInProduction.join(', ') || 'none'}`);
+    console.log(`🔵 Only in ${ENVIRONMENTS.candidate.label}: ${communityDiff.onlyInDevelopment.join(', ') || 'none'}`);
+    communityDiff.subPages.forEach(({ slug, onlyInProduction, onlyInDevelopment }) => {
+      console.log(`   ${slug}: ${[...onlyInProduction.map(pagePath => `${pagePath} only in ${ENVIRONMENTS.reference.label}`),
+        ...onlyInDevelopment.map(pagePath => `${pagePath} only in ${ENVIRONMENTS.candidate.label}`)].join(', ')}`);
+    });
+  }
+  console.log(`📂 Saved: ${DISCOVERED_COMMUNITIES_FILE}`);
+}
+
+main().catch(error => {
+  console.error(`❌ Community discovery failed: ${error.message}`);
+  process.exit(1);
+});
@@ -0,0 +1,76 @@
+// @ts-check
+// Build the list of pages to test from the reference environment's sitemap.
+//
+//   npm run discover-pages
+//   SITEMAP_INCLUDE='/communities/**' SITEMAP_EXCLUDE='/blog/**' SITEMAP_MAX_PAGES=20 npm run discover-pages
+//
+// Writes discovered-pages.json, which multi-page-visual.test.js uses instead of its
+// built-in PAGES_TO_TEST. Delete the file to go back to the built-in list.
+const fs = require('fs').promises;
+const {
+  DISCOVERED_PAGES_FILE,
+  discoverPages,
+  filterPages,
+  diffSitemaps
+} = require('../lib/sitemap');
+const { getEnvironmentPair } = require('../lib/environments');
+
+// Environments to read - see environments.config.js (REFERENCE_ENV / CANDIDATE_ENV)
+const ENVIRONMENTS = getEnvironmentPair();
+
+// Comma-separated list from an env var
+function listFromEnv(name) {
+  return (process.env[name] || '')
+    .split(',')
+    .map(value => value.trim())
+    .filter(Boolean);
+}
+
+async function main() {
+  const filters = {
+    include: listFromEnv('SITEMAP_INCLUDE'),
+    exclude: listFromEnv('SITEMAP_EXCLUDE'),
+    maxPages: parseInt(process.env.SITEMAP_MAX_PAGES || '0', 10) || 0
+  };
+
+  if (ENVIRONMENTS.reference.role === 'baseline') {
+    throw new Error('the approved baseline has no sitemap, set REFERENCE_ENV to a live environment');
+  }
+
+  const productionPages = await discoverPages(ENVIRONMENTS.reference.baseUrl);
+
+  let sitemapDiff = null;
+  try {
+    const developmentPages = await discoverPages(ENVIRONMENTS.candidate.baseUrl);
+    sitemapDiff = diffSitemaps(productionPages, developmentPages);
+  } catch (error) {
+    console.log(`⚠️  Could not read ${ENVIRONMENTS.candidate.label} sitemap: ${error.message}`);
+  }
+
+  const pages = filterPages(productionPages, filters);
+
+  const discovered = {
+    timestamp: new Date().toISOString(),
+    environments: ENVIRONMENTS,
+    filters,
+    totalInSitemap: productionPages.length,
+    pages,
+    sitemapDiff
+  };
+
+  await fs.writeFile(DISCOVERED_PAGES_FILE, JSON.stringify(discovered, null, 2));
+
+  console.log(`\n📄 Pages selected: ${pages.length} of ${productionPages.length}`);
+  if (sitemapDiff) {
+    console.log(`🟢 Only in ${ENVIRONMENTS.reference.label} sitemap: ${sitemapDiff.onlyInProduction.length}`);
+    sitemapDiff.onlyInProduction.forEach(pagePath => console.log(`   ${pagePath}`));
+    console.log(`🔵 Only in ${ENVIRONMENTS.candidate.label} sitemap: ${sitemapDiff.onlyInDevelopment.length}`);
+    sitemapDiff.onlyInDevelopment.forEach(pagePath => console.log(`   ${pagePath}`));
+  }
+  console.log(`📂 Saved: ${DISCOVERED_PAGES_FILE}`);
+}
+
+main().catch(error => {
+  console.error(`❌ Page discovery failed: ${error.message}`);
+  process.exit(1);
+});
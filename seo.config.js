@@ -0,0 +1,16 @@
+// seo.config.js
+// SEO metadata checks run on every captured page (see lib/seo.js).
+//
+//   platformHosts  hosts a production page must never point its canonical or og:url at
+//                  (non-production environments may, for their own host)
+//   keyFields      fields a page must not lose: present on the reference and missing on the
+//                  candidate is a risk. Open Graph / Twitter fields are named 'og:title',
+//                  'twitter:card'...
+//   ignoreFields   fields that change on every deploy and are not compared
+module.exports = {
+  platformHosts: [/\.pantheonsite\.io$/, /\.pantheon\.io$/],
+
+  keyFields: ['title', 'description', 'canonical', 'og:title', 'og:description', 'og:image', 'json-ld'],
+
+  ignoreFields: ['og:updated_time', 'article:modified_time']
+};
@@ -0,0 +1,28 @@
+// @ts-check
+const { defineCommunitySuite } = require('../lib/suite');
+const { readDiscoveredCommunities } = require('../lib/communities');
+const { renderCommunityDiff } = require('../lib/report');
+
+// Tested until `npm run discover-communities` found the full list
+const DEFAULT_COMMUNITIES = [
+  {
+    slug: 'eagle',
+    name: 'Eagle',
+    path: '/communities/eagle/',
+    pages: ['/communities/eagle/', '/communities/eagle/site-map/']
+  }
+];
+
+const DISCOVERED = readDiscoveredCommunities();
+const COMMUNITIES = DISCOVERED && DISCOVERED.communities.length ? DISCOVERED.communities : DEFAULT_COMMUNITIES;
+
+defineCommunitySuite({
+  title: 'Community Tests',
+  communities: COMMUNITIES,
+  reportTitle: 'Community Comparison Report',
+  reportFile: 'communities-report.html',
+  reportMeta: [
+    `Communities: ${COMMUNITIES.length}${DISCOVERED ? ` of ${DISCOVERED.totalFound}, discovered ${new Date(DISCOVERED.timestamp).toLocaleString()}` : ' (built-in list)'}`
+  ],
+  reportIntro: renderCommunityDiff(DISCOVERED)
+});
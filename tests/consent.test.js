@@ -0,0 +1,7 @@
+// @ts-check
+const { defineConsentSuite } = require('../lib/suite');
+
+// CookieYes banner and consent choices of consent.config.js on both environments
+defineConsentSuite({
+  title: 'Cookie Consent Tests'
+});
@@ -0,0 +1,7 @@
+// @ts-check
+const { defineFormSuite } = require('../lib/suite');
+
+// Forms of forms.config.js, submitted on both environments with the submissions intercepted
+defineFormSuite({
+  title: 'Form Behaviour Tests'
+});
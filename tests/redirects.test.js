@@ -0,0 +1,7 @@
+// @ts-check
+const { defineRedirectSuite } = require('../lib/suite');
+
+// Old paths of the redirect map (REDIRECT_MAP, default redirect-map.csv) on CANDIDATE_ENV
+defineRedirectSuite({
+  title: 'Redirect Map Tests'
+});
@@ -0,0 +1,77 @@
+// @ts-check
+// Captures of the fixture site in tests/fixtures/hars/fixture/site.har, replayed the way
+// HAR_MODE=replay replays recorded runs (playwright.unit.config.js sets it). Both fixture
+// environments serve the same home page; /changed/ has another banner on the candidate.
+const { test, expect } = require('@playwright/test');
+const { HAR_MODE, routePageFromHar } = require('../../lib/har');
+const { resolveEnvironment } = require('../../lib/environments');
+const { loadPage, captureComparison } = require('../../lib/capture');
+const { domCollector } = require('../../lib/dom-diff');
+const { seoCollector } = require('../../lib/seo');
+const { assetCollector } = require('../../lib/assets');
+
+const environments = {
+  reference: resolveEnvironment('https://reference.fixture.test'),
+  candidate: resolveEnvironment('https://candidate.fixture.test')
+};
+const viewport = { width: 800, height: 600 };
+
+test.beforeEach(async ({ page }) => {
+  expect(HAR_MODE).toBe('replay');
+  expect(await routePageFromHar(page, 'fixture/site')).toBe('replay');
+  await page.setViewportSize(viewport);
+});
+
+test('identical pages compare identical', async ({ page }) => {
+  const capture = await captureComparison(page, {
+    pageUrl: '/',
+    name: 'self-tests/replay-identical',
+    environments,
+    collectors: [domCollector(), seoCollector(), assetCollector()]
+  });
+
+  expect(capture.comparison.identical).toBe(true);
+  expect(capture.comparison.productionSize).toEqual({ width: 800, height: 600 });
+  expect(capture.collected.dom.text.identical).toBe(true);
+  expect(capture.collected.dom.structure.identical).toBe(true);
+  expect(capture.collected.seo.identical).toBe(true);
+  expect(capture.collected.assets.identical).toBe(true);
+  expect(capture.collected.assets.developmentTotals.byType.stylesheet.requests).toBe(1);
+});
+
+test('a changed banner is found in the pixels and the text', async ({ page }) => {
+  const capture = await captureComparison(page, {
+    pageUrl: '/changed/',
+    name: 'self-tests/replay-changed',
+    environments,
+    collectors: [domCollector()]
+  });
+
+  const { comparison } = capture;
+  expect(comparison.passed).toBe(false);
+  // The banner sits below the 60px header and is 240px high with its padding
+  expect(comparison.changedRegions.length).toBeGreaterThan(0);
+  for (const region of comparison.changedRegions) {
+    expect(region.y).toBeGreaterThanOrEqual(32);
+    expect(region.y + region.height).toBeLessThanOrEqual(320);
+  }
+  expect(capture.collected.dom.text.segments.filter(segment => segment.type !== 'equal')).toEqual([
+    { type: 'delete', text: 'Welcome home' },
+    { type: 'insert', text: 'Now selling' }
+  ]);
+});
+
+test('ignore regions over the banner make the pages compare identical', async ({ page }) => {
+  const capture = await captureComparison(page, {
+    pageUrl: '/changed/',
+    name: 'self-tests/replay-ignored',
+    environments,
+    masks: { hide: [], mask: [], freeze: [], ignoreRegions: [{ x: 0, y: 60, width: 800, height: 240 }] }
+  });
+
+  expect(capture.comparison.identical).toBe(true);
+});
+
+test('pages missing from the archive fail instead of reaching the network', async ({ page }) => {
+  await expect(loadPage(page, 'https://candidate.fixture.test/not-recorded/')).rejects.toThrow();
+});
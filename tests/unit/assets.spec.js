@@ -0,0 +1,72 @@
+// @ts-check
+const { test, expect } = require('@playwright/test');
+const { normalizeAssetUrl, compareAssets } = require('../../lib/assets');
+
+const asset = (type, url, extra = {}) => ({ type, url, status: 200, size: 1000, hash: 'abc', cache: { 'cache-control': 'max-age=3600' }, ...extra });
+
+test.describe('normalizeAssetUrl', () => {
+  const pageHost = 'dev-revelcomm.pantheonsite.io';
+
+  test('own and environment hosts dropped, `ver` removed', () => {
+    expect(normalizeAssetUrl(`https://${pageHost}/wp-content/style.css?ver=6.5`, pageHost)).toBe('/wp-content/style.css');
+    expect(normalizeAssetUrl('https://www.revelcommunities.com/logo.png?size=2&ver=1', pageHost)).toBe('/logo.png?size=2');
+  });
+
+  test('other hosts kept', () => {
+    expect(normalizeAssetUrl('https://fonts.gstatic.com/font.woff2', pageHost)).toBe('fonts.gstatic.com/font.woff2');
+  });
+});
+
+test.describe('compareAssets', () => {
+  test('the same assets', () => {
+    const assets = [asset('stylesheet', '/style.css'), asset('script', '/app.js')];
+    const comparison = compareAssets(assets, assets);
+    expect(comparison.identical).toBe(true);
+    expect(comparison.productionTotals).toEqual({
+      requests: 2,
+      bytes: 2000,
+      byType: { stylesheet: { requests: 1, bytes: 1000 }, script: { requests: 1, bytes: 1000 } }
+    });
+  });
+
+  test('added and removed assets', () => {
+    const comparison = compareAssets(
+      [asset('script', '/old.js'), asset('stylesheet', '/style.css')],
+      [asset('stylesheet', '/style.css'), asset('script', '/new.js'), asset('stylesheet', '/extra.css')]
+    );
+    expect(comparison.identical).toBe(false);
+    expect(comparison.added.map(entry => entry.url)).toEqual(['/extra.css', '/new.js']);
+    expect(comparison.removed.map(entry => entry.url)).toEqual(['/old.js']);
+  });
+
+  test('growth beyond 10% and 1 KB, changed content, status and cache headers', () => {
+    const comparison = compareAssets(
+      [
+        asset('image', '/big.jpg', { size: 100000 }),
+        asset('image', '/small.jpg', { size: 100 }),
+        asset('script', '/app.js'),
+        asset('font', '/font.woff2')
+      ],
+      [
+        asset('image', '/big.jpg', { size: 120000 }),
+        asset('image', '/small.jpg', { size: 1000 }),
+        asset('script', '/app.js', { hash: 'def', cache: { 'cache-control': 'no-cache' } }),
+        asset('font', '/font.woff2', { status: 404 })
+      ]
+    );
+    expect(comparison.grew.map(entry => [entry.url, entry.growth])).toEqual([['/big.jpg', 20000]]);
+    expect(comparison.changedHash.map(entry => entry.url)).toEqual(['/app.js']);
+    expect(comparison.changedStatus.map(entry => entry.url)).toEqual(['/font.woff2']);
+    expect(comparison.changedCache[0]).toMatchObject({
+      url: '/app.js',
+      production: { cacheControl: 'max-age=3600' },
+      development: { cacheControl: 'no-cache' }
+    });
+  });
+
+  test('repeated requests of an asset are counted once', () => {
+    const comparison = compareAssets([asset('xhr', '/api')], [asset('xhr', '/api'), asset('xhr', '/api')]);
+    expect(comparison.added).toEqual([]);
+    expect(comparison.developmentTotals.requests).toBe(2);
+  });
+});
@@ -0,0 +1,77 @@
+// @ts-check
+const { test, expect } = require('@playwright/test');
+const { communityName, listCommunities, discoverCommunities, diffCommunities } = require('../../lib/communities');
+const { stubResponses } = require('./stub-axios');
+
+const LIVE = 'https://revelcommunities.com';
+const WWW = 'https://www.revelcommunities.com';
+
+const community = (slug, subPages = []) => ({
+  slug,
+  name: communityName(slug),
+  path: `/communities/${slug}/`,
+  pages: [`/communities/${slug}/`, ...subPages.map(subPage => `/communities/${slug}/${subPage}`)]
+});
+
+test.describe('communityName', () => {
+  test('slug words capitalized', () => {
+    expect(communityName('eagle-ridge')).toBe('Eagle Ridge');
+    expect(communityName('meridian')).toBe('Meridian');
+  });
+});
+
+test.describe('listCommunities', () => {
+  let restore;
+  test.afterEach(() => restore());
+
+  test('community links on the apex and www host, each once; other links left out', async () => {
+    restore = stubResponses({
+      [`${LIVE}/communities/`]: {
+        status: 200,
+        html: `
+          <a href="${WWW}/communities/meridian/">Meridian</a>
+          <a href="/communities/eagle-ridge/">Eagle Ridge</a>
+          <a href="${LIVE}/communities/eagle-ridge/#map">Map</a>
+          <a href="/communities/eagle-ridge/floor-plans/">Floor plans</a>
+          <a href="https://example.com/communities/elsewhere/">Elsewhere</a>
+          <a href="/about/">About</a>`
+      }
+    });
+    expect(await listCommunities(LIVE)).toEqual(['eagle-ridge', 'meridian']);
+  });
+});
+
+test.describe('discoverCommunities', () => {
+  let restore;
+  test.afterEach(() => restore());
+
+  test('sub-pages answering 200, also behind the apex to www redirect', async () => {
+    restore = stubResponses({
+      [`${LIVE}/communities/`]: { status: 200, html: '<a href="/communities/eagle/">Eagle</a>' },
+      [`${LIVE}/communities/eagle/site-map/`]: { status: 301, location: `${WWW}/communities/eagle/site-map/` },
+      [`${WWW}/communities/eagle/site-map/`]: { status: 200 },
+      [`${LIVE}/communities/eagle/floor-plans/`]: { status: 200 },
+      [`${LIVE}/communities/eagle/amenities/`]: { status: 301, location: `${WWW}/communities/eagle/` },
+      [`${WWW}/communities/eagle/`]: { status: 200 }
+    });
+    expect(await discoverCommunities(LIVE)).toEqual([community('eagle', ['site-map/', 'floor-plans/'])]);
+  });
+});
+
+test.describe('diffCommunities', () => {
+  test('the same communities', () => {
+    const communities = [community('eagle', ['site-map/'])];
+    expect(diffCommunities(communities, communities)).toEqual({ onlyInProduction: [], onlyInDevelopment: [], subPages: [] });
+  });
+
+  test('communities and sub-pages on one environment only', () => {
+    expect(diffCommunities(
+      [community('eagle', ['site-map/', 'amenities/']), community('meridian')],
+      [community('eagle', ['site-map/', 'contact/']), community('solera')]
+    )).toEqual({
+      onlyInProduction: ['meridian'],
+      onlyInDevelopment: ['solera'],
+      subPages: [{ slug: 'eagle', onlyInProduction: ['/communities/eagle/amenities/'], onlyInDevelopment: ['/communities/eagle/contact/'] }]
+    });
+  });
+});
@@ -0,0 +1,124 @@
+// @ts-check
+const { test, expect } = require('@playwright/test');
+const {
+  allowedCategories, readConsentCookie, bannerProblems, choiceProblems, compareBannerResults, compareChoiceResults
+} = require('../../lib/consent');
+const { resolveEnvironment } = require('../../lib/environments');
+
+const environments = { reference: resolveEnvironment('live'), candidate: resolveEnvironment('dev') };
+
+const context = cookies => ({ cookies: async () => cookies });
+
+// A consent choice of runConsentChoice() that went as it should
+function choice(overrides = {}) {
+  return {
+    choice: 'reject',
+    allowed: [],
+    bannerShown: true,
+    trackersBeforeChoice: {},
+    bannerClosed: true,
+    pages: [{ pageUrl: '/communities/', bannerShown: false }],
+    consent: { consent: 'no', action: 'yes', necessary: 'yes', analytics: 'no', advertisement: 'no' },
+    trackers: {},
+    cookies: {},
+    ...overrides
+  };
+}
+
+test.describe('allowedCategories', () => {
+  test('categories of each choice', () => {
+    expect(allowedCategories('accept')).toEqual(['analytics', 'advertisement']);
+    expect(allowedCategories('customize')).toEqual(['analytics']);
+    expect(allowedCategories('reject')).toEqual([]);
+  });
+});
+
+test.describe('readConsentCookie', () => {
+  test('the stored choice without the consent id', async () => {
+    const value = encodeURIComponent('consentid:abc123,consent:yes,action:yes,necessary:yes,analytics:yes,advertisement:no');
+    expect(await readConsentCookie(context([{ name: 'cookieyes-consent', value }]))).toEqual({
+      consent: 'yes', action: 'yes', necessary: 'yes', analytics: 'yes', advertisement: 'no'
+    });
+  });
+
+  test('no cookie', async () => {
+    expect(await readConsentCookie(context([{ name: '_ga', value: 'GA1' }]))).toBeNull();
+  });
+});
+
+test.describe('bannerProblems', () => {
+  test('missing banner, trackers and cookies before consent', () => {
+    expect(bannerProblems([
+      { pageUrl: '/', bannerShown: true, trackers: {}, cookies: {} },
+      { pageUrl: '/communities/', bannerShown: false, trackers: { analytics: ['www.googletagmanager.com/gtag/js'] }, cookies: { advertisement: ['_fbp'] } }
+    ])).toEqual([
+      '/communities/: no consent banner',
+      '/communities/: analytics loaded before consent: www.googletagmanager.com/gtag/js',
+      '/communities/: advertisement cookies set before consent: _fbp'
+    ]);
+  });
+});
+
+test.describe('choiceProblems', () => {
+  test('a choice that is respected', () => {
+    expect(choiceProblems(choice())).toEqual([]);
+    expect(choiceProblems(choice({
+      choice: 'customize',
+      allowed: ['analytics'],
+      trackers: { analytics: ['www.google-analytics.com/g/collect'] },
+      consent: { ...choice().consent, analytics: 'yes' }
+    }))).toEqual([]);
+  });
+
+  test('no banner', () => {
+    expect(choiceProblems(choice({ bannerShown: false }))).toEqual(['no consent banner']);
+  });
+
+  test('trackers despite the choice, wrong stored choice and the banner again', () => {
+    expect(choiceProblems(choice({
+      bannerClosed: false,
+      trackers: { advertisement: ['connect.facebook.net/en_US/fbevents.js'] },
+      cookies: { analytics: ['_ga'] },
+      consent: { ...choice().consent, analytics: 'yes' },
+      pages: [{ pageUrl: '/communities/', bannerShown: true }]
+    }))).toEqual([
+      'banner still shown after the choice',
+      'advertisement loaded although not accepted: connect.facebook.net/en_US/fbevents.js',
+      'analytics cookies set although not accepted: _ga',
+      'cookieyes-consent stores analytics:yes instead of analytics:no',
+      '/communities/: banner shown again after the choice'
+    ]);
+  });
+
+  test('choice not stored', () => {
+    expect(choiceProblems(choice({ consent: null }))).toEqual(['choice not stored (no cookieyes-consent cookie)']);
+  });
+});
+
+test.describe('compareBannerResults / compareChoiceResults', () => {
+  test('the same results on both environments', () => {
+    const banners = [{ pageUrl: '/', bannerShown: true, trackers: {}, cookies: {} }];
+    expect(compareBannerResults(banners, banners, environments)).toEqual([]);
+    expect(compareChoiceResults(choice(), choice(), environments)).toEqual([]);
+  });
+
+  test('differences by category, not by URL', () => {
+    expect(compareBannerResults(
+      [{ pageUrl: '/', bannerShown: true, trackers: { analytics: ['a.com/x'] }, cookies: {} }],
+      [{ pageUrl: '/', bannerShown: false, trackers: { analytics: ['b.com/y'] }, cookies: {} }],
+      environments
+    )).toEqual(['/ banner shown: true on Live, false on Dev']);
+  });
+
+  test('changed choice results', () => {
+    expect(compareChoiceResults(choice(), choice({
+      trackers: { analytics: ['www.google-analytics.com/g/collect'] },
+      consent: null,
+      pages: [{ pageUrl: '/communities/', bannerShown: true }]
+    }), environments)).toEqual([
+      'loaded after the choice: [] on Live, ["analytics"] on Dev',
+      `stored choice: ${JSON.stringify(choice().consent)} on Live, null on Dev`,
+      '/communities/ banner shown after the choice: false on Live, true on Dev'
+    ]);
+  });
+});
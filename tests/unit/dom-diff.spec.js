@@ -0,0 +1,96 @@
+// @ts-check
+const { test, expect } = require('@playwright/test');
+const { diffSequences, diffText, diffStructure } = require('../../lib/dom-diff');
+
+test.describe('diffSequences', () => {
+  const types = ops => ops.map(op => `${op.type[0]}${op.type === 'insert' ? op.b : op.a}`).join(' ');
+
+  test('equal sequences', () => {
+    expect(types(diffSequences(['a', 'b'], ['a', 'b']))).toBe('ea eb');
+  });
+
+  test('inserted and deleted items keep the common items in place', () => {
+    expect(types(diffSequences(['a', 'b', 'c', 'd'], ['a', 'c', 'x', 'd']))).toBe('ea db ec ix ed');
+  });
+
+  test('one side empty', () => {
+    expect(types(diffSequences([], ['a', 'b']))).toBe('ia ib');
+    expect(types(diffSequences(['a'], []))).toBe('da');
+  });
+
+  test('custom equality', () => {
+    const ops = diffSequences(['A'], ['a'], (x, y) => x.toLowerCase() === y.toLowerCase());
+    expect(ops).toEqual([{ type: 'equal', a: 'A', b: 'a' }]);
+  });
+});
+
+test.describe('diffText', () => {
+  test('identical text, whitespace aside', () => {
+    const diff = diffText('Hello  world\n\nTour today', 'Hello world\nTour   today');
+    expect(diff.identical).toBe(true);
+    expect(diff.addedWords).toBe(0);
+    expect(diff.removedWords).toBe(0);
+  });
+
+  test('changed words within a line', () => {
+    const diff = diffText('Homes from the low 300s', 'Homes from the mid 300s');
+    expect(diff.addedWords).toBe(1);
+    expect(diff.removedWords).toBe(1);
+    expect(diff.segments).toEqual([
+      { type: 'equal', text: 'Homes from the' },
+      { type: 'delete', text: 'low' },
+      { type: 'insert', text: 'mid' },
+      { type: 'equal', text: '300s' }
+    ]);
+  });
+
+  test('long unchanged runs are shortened to context', () => {
+    const words = Array.from({ length: 40 }, (_, i) => `word${i}`).join(' ');
+    const diff = diffText(`${words}\nold`, `${words}\nnew`);
+    // Eight words of context are kept before the change
+    expect(diff.segments.slice(0, 2)).toEqual([
+      { type: 'skipped', text: '32 unchanged words' },
+      { type: 'equal', text: 'word32 word33 word34 word35 word36 word37 word38 word39' }
+    ]);
+  });
+});
+
+test.describe('diffStructure', () => {
+  const element = (depth, signature, extra = {}) => ({ depth, tag: signature.split(/[.#]/)[0], signature, ...extra });
+
+  test('identical outlines', () => {
+    const outline = [element(0, 'header'), element(1, 'nav.menu')];
+    expect(diffStructure(outline, outline).identical).toBe(true);
+  });
+
+  test('added and removed elements', () => {
+    const diff = diffStructure(
+      [element(0, 'header'), element(0, 'div.promo')],
+      [element(0, 'header'), element(0, 'section.hero')]
+    );
+    expect(diff.addedCount).toBe(1);
+    expect(diff.removedCount).toBe(1);
+    expect(diff.added[0].signature).toBe('section.hero');
+    expect(diff.removed[0].signature).toBe('div.promo');
+  });
+
+  test('an element at another place moved instead of being added and removed', () => {
+    const diff = diffStructure(
+      [element(0, 'div.promo'), element(0, 'header'), element(0, 'footer')],
+      [element(0, 'header'), element(0, 'footer'), element(0, 'div.promo')]
+    );
+    expect(diff.movedCount).toBe(1);
+    expect(diff.addedCount).toBe(0);
+    expect(diff.removedCount).toBe(0);
+  });
+
+  test('changed link attributes', () => {
+    const diff = diffStructure(
+      [element(0, 'a', { attributes: { href: '/tour/' }, text: 'Tour' })],
+      [element(0, 'a', { attributes: { href: '/visit/' }, text: 'Tour' })]
+    );
+    expect(diff.attributeChanges).toEqual([
+      { tag: 'a', signature: 'a', text: 'Tour', attribute: 'href', production: '/tour/', development: '/visit/' }
+    ]);
+  });
+});
@@ -0,0 +1,60 @@
+// @ts-check
+const { test, expect } = require('@playwright/test');
+const { resolveEnvironment, describePair } = require('../../lib/environments');
+
+test.describe('resolveEnvironment', () => {
+  test.afterEach(() => {
+    delete process.env.ENV_URL_LIVE;
+    delete process.env.ENV_URL_PREVIEW;
+  });
+
+  test('named environment of environments.config.js', () => {
+    expect(resolveEnvironment('test')).toEqual({
+      name: 'test',
+      label: 'Test',
+      baseUrl: 'https://test-revelcomm.pantheonsite.io',
+      role: 'staging'
+    });
+  });
+
+  test('multidev branch', () => {
+    expect(resolveEnvironment('multidev:feature-x')).toEqual({
+      name: 'feature-x',
+      label: 'Multidev feature-x',
+      baseUrl: 'https://feature-x-revelcomm.pantheonsite.io',
+      role: 'multidev'
+    });
+  });
+
+  test('plain base URL without trailing slashes', () => {
+    expect(resolveEnvironment(' https://feature-y-revelcomm.pantheonsite.io// ')).toEqual({
+      name: 'feature-y-revelcomm.pantheonsite.io',
+      label: 'feature-y-revelcomm.pantheonsite.io',
+      baseUrl: 'https://feature-y-revelcomm.pantheonsite.io',
+      role: 'custom'
+    });
+  });
+
+  test('the approved baseline', () => {
+    expect(resolveEnvironment('baseline').role).toBe('baseline');
+  });
+
+  test('ENV_URL_<NAME> overrides a named environment and adds new ones', () => {
+    process.env.ENV_URL_LIVE = 'https://www.revelcommunities.com/';
+    expect(resolveEnvironment('live')).toMatchObject({ label: 'Live', baseUrl: 'https://www.revelcommunities.com', role: 'production' });
+
+    process.env.ENV_URL_PREVIEW = 'https://preview.example.com';
+    expect(resolveEnvironment('preview')).toEqual({ name: 'preview', label: 'preview', baseUrl: 'https://preview.example.com', role: 'custom' });
+  });
+
+  test('unknown names are rejected', () => {
+    expect(() => resolveEnvironment('staging')).toThrow('Unknown environment "staging"');
+    expect(() => resolveEnvironment('multidev:')).toThrow('Missing multidev branch name');
+  });
+});
+
+test.describe('describePair', () => {
+  test('reference → candidate', () => {
+    expect(describePair({ reference: resolveEnvironment('live'), candidate: resolveEnvironment('dev') })).toBe('Live → Dev');
+  });
+});
@@ -0,0 +1,153 @@
+// @ts-check
+const { test, expect } = require('@playwright/test');
+const { validValue, invalidValue, interceptSubmissions, formProblems, compareFormResults } = require('../../lib/forms');
+const { resolveEnvironment } = require('../../lib/environments');
+
+const environments = { reference: resolveEnvironment('live'), candidate: resolveEnvironment('dev') };
+
+const field = (name, type = 'text', extra = {}) => ({ name, tag: 'input', type, required: false, label: '', min: null, max: null, choices: null, ...extra });
+
+// A run of exerciseForm() where every check passed
+function result(overrides = {}) {
+  return {
+    url: '/contact/',
+    found: true,
+    lostOnReload: null,
+    fields: [field('your-name', 'text', { required: true }), field('your-email', 'email', { required: true })],
+    emptySubmit: { submitted: false, flagged: ['your-name', 'your-email'], messages: {} },
+    invalidSubmit: { fields: ['your-email'], submitted: false, flagged: ['your-email'], messages: {} },
+    validSubmit: { values: {}, submitted: true, endpoint: '/wp-json/contact/', method: 'POST', missingValues: [], success: true },
+    ...overrides
+  };
+}
+
+test.describe('validValue / invalidValue', () => {
+  test('values by input type', () => {
+    expect(validValue(field('contact', 'email'))).toBe('visual-test@example.com');
+    expect(validValue(field('guests', 'number', { min: '2' }))).toBe('2');
+    expect(validValue(field('community', 'select', { choices: ['eagle', 'meridian'] }))).toBe('eagle');
+    expect(validValue(field('community', 'select', { choices: [] }))).toBeNull();
+    expect(validValue(field('date', 'date'))).toMatch(/^\d{4}-\d{2}-\d{2}$/);
+  });
+
+  test('text fields by name and label', () => {
+    expect(validValue(field('input_3', 'text', { label: 'Phone number' }))).toBe('(555) 555-0123');
+    expect(validValue(field('first-name'))).toBe('Visual');
+    expect(validValue(field('input_7'))).toBe('Automated test');
+  });
+
+  test('invalid values only where the type has one', () => {
+    expect(invalidValue(field('email', 'email'))).toBe('not-an-email');
+    expect(invalidValue(field('input_2', 'text', { label: 'E-mail' }))).toBe('not-an-email');
+    expect(invalidValue(field('guests', 'number', { max: '10' }))).toBe('11');
+    expect(invalidValue(field('guests', 'number'))).toBeNull();
+    expect(invalidValue(field('name'))).toBeNull();
+  });
+});
+
+test.describe('interceptSubmissions', () => {
+  // Page with just enough of page.route() to hand requests to the interceptor
+  function fakePage() {
+    const handlers = [];
+    return {
+      route: async (url, handler) => { handlers.push(handler); },
+      unroute: async (url, handler) => { handlers.splice(handlers.indexOf(handler), 1); },
+      handlers,
+      request: async (method, url, postData = null) => {
+        const route = {
+          handled: null,
+          request: () => ({ method: () => method, url: () => url, postData: () => postData }),
+          fallback: async () => { route.handled = 'fallback'; },
+          fulfill: async () => { route.handled = 'fulfill'; }
+        };
+        for (const handler of handlers) await handler(route);
+        return route.handled;
+      }
+    };
+  }
+  const fields = [field('your-email', 'email')];
+
+  test('posts are intercepted, submissions are those carrying a field', async () => {
+    const page = fakePage();
+    const interceptor = await interceptSubmissions(page, fields);
+    const mark = interceptor.mark();
+    expect(await page.request('POST', 'https://example.com/analytics', 'event=view')).toBe('fulfill');
+    expect(await page.request('POST', 'https://example.com/wp-json/contact/', 'your-email=a%40b.c')).toBe('fulfill');
+    expect(await page.request('GET', 'https://example.com/style.css')).toBe('fallback');
+    expect(interceptor.submissionsSince(mark).map(request => request.url)).toEqual(['https://example.com/wp-json/contact/']);
+    await interceptor.stop();
+    expect(page.handlers).toHaveLength(0);
+  });
+
+  test('GET submissions to the action URL are intercepted with the query as body', async () => {
+    const page = fakePage();
+    const interceptor = await interceptSubmissions(page, fields, undefined, 'https://example.com/subscribe/');
+    expect(await page.request('GET', 'https://example.com/subscribe/')).toBe('fallback');
+    expect(await page.request('GET', 'https://example.com/other/?your-email=x')).toBe('fallback');
+    expect(await page.request('GET', 'https://example.com/subscribe/?your-email=a%40b.c')).toBe('fulfill');
+    expect(interceptor.submissionsSince(0)).toEqual([
+      { url: 'https://example.com/subscribe/?your-email=a%40b.c', method: 'GET', body: 'your-email=a%40b.c' }
+    ]);
+  });
+});
+
+test.describe('formProblems', () => {
+  test('a form that works', () => {
+    expect(formProblems(result())).toEqual([]);
+  });
+
+  test('form not found', () => {
+    expect(formProblems(result({ found: false }))).toEqual(['form not found']);
+  });
+
+  test('validation and submission problems', () => {
+    expect(formProblems(result({
+      emptySubmit: { submitted: true, flagged: ['your-email'], messages: {} },
+      invalidSubmit: { fields: ['your-email'], submitted: false, flagged: [], messages: {} },
+      validSubmit: { values: {}, submitted: true, endpoint: '/', method: 'POST', missingValues: ['your-name'], success: false }
+    }))).toEqual([
+      'empty submit: required fields not flagged: your-name',
+      'empty submit: the form was sent',
+      'invalid submit: invalid values accepted in your-email',
+      'valid submit: payload misses your-name',
+      'valid submit: no success message'
+    ]);
+  });
+
+  test('form lost on reload', () => {
+    expect(formProblems(result({ lostOnReload: 'valid submit', validSubmit: null })))
+      .toEqual(['valid submit: form not found after reloading the page']);
+  });
+});
+
+test.describe('compareFormResults', () => {
+  test('the same behaviour on both environments', () => {
+    expect(compareFormResults(result(), result(), environments)).toEqual([]);
+  });
+
+  test('form found on one environment only', () => {
+    expect(compareFormResults(result(), result({ found: false }), environments)).toEqual(['form only found on Live']);
+  });
+
+  test('changed fields, validation and endpoint', () => {
+    const development = result({
+      fields: [field('your-name', 'text', { required: true }), field('your-email', 'text')],
+      emptySubmit: { submitted: false, flagged: ['your-name'], messages: {} },
+      validSubmit: { ...result().validSubmit, endpoint: '/contact/' }
+    });
+    expect(compareFormResults(result(), development, environments)).toEqual([
+      'field your-email (email, required) only on Live',
+      'field your-email (text) only on Dev',
+      'flagged on empty submit: your-name, your-email on Live, your-name on Dev',
+      'sent to /wp-json/contact/ on Live, /contact/ on Dev'
+    ]);
+  });
+
+  test('form lost on reload on one environment', () => {
+    expect(compareFormResults(result(), result({ lostOnReload: 'invalid submit', invalidSubmit: null, validSubmit: null }), environments))
+      .toEqual([
+        'flagged on invalid submit: your-email on Live, none on Dev',
+        'form lost on reload before the invalid submit on Dev'
+      ]);
+  });
+});
@@ -0,0 +1,77 @@
+// @ts-check
+const { test, expect } = require('@playwright/test');
+const { resolveInteractions, runInteraction } = require('../../lib/interactions');
+
+// Page that records the steps run on it. Selectors in `missing` have no visible element.
+function fakePage(missing = []) {
+  const calls = [];
+  const locator = selector => {
+    const element = {
+      filter: () => element,
+      first: () => element,
+      waitFor: async () => act('waitFor'),
+      click: async () => act('click'),
+      hover: async () => act('hover'),
+      focus: async () => act('focus')
+    };
+    const act = async action => {
+      if (missing.includes(selector)) throw new Error(`Timeout 5000ms exceeded.\nwaiting for ${selector}`);
+      calls.push([action, selector]);
+    };
+    return element;
+  };
+  return {
+    calls,
+    locator,
+    waitForTimeout: async ms => { calls.push(['wait', ms]); },
+    keyboard: { press: async key => { calls.push(['press', key]); } }
+  };
+}
+
+test.describe('resolveInteractions', () => {
+  test('scenarios of a page at a viewport', () => {
+    expect(resolveInteractions('/', 'mobile').map(scenario => scenario.name)).toEqual(['mobile-nav']);
+    expect(resolveInteractions('/', 'desktop').map(scenario => scenario.name)).toEqual(['menu-hover']);
+    expect(resolveInteractions('/communities/eagle/', 'desktop').map(scenario => scenario.name))
+      .toEqual(['gallery-lightbox', 'form-focus']);
+    expect(resolveInteractions('/about/', 'desktop')).toEqual([]);
+  });
+
+  test('suite scenarios added, and replacing configured ones of the same name', () => {
+    const steps = [{ click: '.tab-2' }];
+    const scenarios = resolveInteractions('/', 'desktop', {
+      'menu-hover': { pages: ['/about/'], steps: [] },
+      tabs: { pages: ['/'], steps }
+    });
+    expect(scenarios).toEqual([{ name: 'tabs', steps }]);
+  });
+});
+
+test.describe('runInteraction', () => {
+  test('steps run in order', async () => {
+    const page = fakePage();
+    await runInteraction(/** @type {any} */ (page), {
+      name: 'dialog',
+      steps: [{ click: '.open' }, { waitFor: '[role="dialog"]' }, { hover: '.close' }, { focus: 'input' }, { press: 'Escape' }, { wait: 300 }]
+    });
+    expect(page.calls).toEqual([
+      ['click', '.open'],
+      ['waitFor', '[role="dialog"]'],
+      ['hover', '.close'],
+      ['focus', 'input'],
+      ['press', 'Escape'],
+      ['wait', 300]
+    ]);
+  });
+
+  test('an unknown step fails', async () => {
+    await expect(runInteraction(/** @type {any} */ (fakePage()), { name: 'tabs', steps: [{ tap: '.tab' }] }))
+      .rejects.toThrow('Unknown step 1 of interaction "tabs": {"tap":".tab"} (actions: click, hover, focus, press, waitFor, wait)');
+  });
+
+  test('a missing element fails with the step', async () => {
+    const page = fakePage(['.menu-toggle']);
+    await expect(runInteraction(/** @type {any} */ (page), { name: 'mobile-nav', steps: [{ wait: 100 }, { click: '.menu-toggle' }] }))
+      .rejects.toThrow('step 2 of interaction "mobile-nav" failed: no visible .menu-toggle to click (Timeout 5000ms exceeded.)');
+  });
+});
@@ -0,0 +1,123 @@
+// @ts-check
+const { test, expect } = require('@playwright/test');
+const { isSameSite, isEnvironmentHost, extractLinks, crawlEnvironment, compareCrawls } = require('../../lib/links');
+const { stubResponses } = require('./stub-axios');
+
+const LIVE = 'https://revelcommunities.com';
+const DEV = 'https://dev-revelcomm.pantheonsite.io';
+
+const links = (...hrefs) => hrefs.map(href => `<a class="link" href="${href}">link</a>`).join('\n');
+
+test.describe('hosts', () => {
+  test('apex and www are the same site', () => {
+    expect(isSameSite('revelcommunities.com', 'www.revelcommunities.com')).toBe(true);
+    expect(isSameSite('revelcommunities.com', 'dev-revelcomm.pantheonsite.io')).toBe(false);
+  });
+
+  test('environment hosts', () => {
+    expect(isEnvironmentHost('www.revelcommunities.com')).toBe(true);
+    expect(isEnvironmentHost('feature-x-revelcomm.pantheonsite.io')).toBe(true);
+    expect(isEnvironmentHost('example.com')).toBe(false);
+  });
+});
+
+test.describe('extractLinks', () => {
+  test('absolute http(s) links without fragments, each once', () => {
+    const html = `${links('/a/', '/a/#top', 'b/?x=1&amp;y=2', 'mailto:hi@example.com', 'tel:123', 'javascript:void(0)')}
+      <A HREF='https://example.com/'>x</A>`;
+    expect(extractLinks(html, `${DEV}/dir/`)).toEqual([
+      `${DEV}/a/`,
+      `${DEV}/dir/b/?x=1&y=2`,
+      'https://example.com/'
+    ]);
+  });
+});
+
+test.describe('crawlEnvironment', () => {
+  let restore;
+  test.afterEach(() => restore());
+
+  test('checks the links of the start pages and crawls internal pages one level deep', async () => {
+    restore = stubResponses({
+      [`${DEV}/`]: { status: 200, html: links('/about/', '/gone/', '/wp-admin/', 'https://example.com/') },
+      [`${DEV}/about/`]: { status: 200, html: links('/deeper/') },
+      [`${DEV}/deeper/`]: { status: 200, html: links('/too-deep/') }
+    });
+    const crawl = await crawlEnvironment(DEV, ['/']);
+    expect(Object.keys(crawl.pages)).toEqual(['/', '/about/']);
+    expect(crawl.pages['/'].map(link => [link.path, link.problem])).toEqual([['/about/', null], ['/gone/', 'broken']]);
+    expect(crawl.pages['/about/'].map(link => link.path)).toEqual(['/deeper/']);
+    expect(crawl.skipped).toEqual([]);
+  });
+
+  test('hard-coded links to another environment', async () => {
+    restore = stubResponses({
+      [`${DEV}/`]: { status: 200, html: links('https://www.revelcommunities.com/contact/') },
+      'https://www.revelcommunities.com/contact/': { status: 200 }
+    });
+    const crawl = await crawlEnvironment(DEV, ['/']);
+    expect(crawl.pages['/'][0]).toMatchObject({ path: 'https://www.revelcommunities.com/contact/', problem: 'wrong-host' });
+  });
+
+  test('an apex base URL redirecting to www is crawled on www', async () => {
+    restore = stubResponses({
+      [`${LIVE}/`]: { status: 301, location: 'https://www.revelcommunities.com/' },
+      'https://www.revelcommunities.com/': { status: 200, html: links('/about/', 'https://revelcommunities.com/contact/') },
+      'https://www.revelcommunities.com/about/': { status: 200 },
+      [`${LIVE}/contact/`]: { status: 301, location: 'https://www.revelcommunities.com/contact/' },
+      'https://www.revelcommunities.com/contact/': { status: 200 }
+    });
+    const crawl = await crawlEnvironment(LIVE, ['/']);
+    expect(crawl.skipped).toEqual([]);
+    expect(crawl.pages['/'].map(link => [link.path, link.internal, link.problem])).toEqual([
+      ['/about/', true, null],
+      ['/contact/', true, null]
+    ]);
+  });
+
+  test('start pages that cannot be crawled are listed as skipped', async () => {
+    restore = stubResponses({
+      [`${DEV}/away/`]: { status: 301, location: 'https://example.com/' },
+      'https://example.com/': { status: 200 },
+      [`${DEV}/file.pdf`]: { status: 200, contentType: 'application/pdf' }
+    });
+    const crawl = await crawlEnvironment(DEV, ['/away/', '/file.pdf']);
+    expect(crawl.crawled).toBe(0);
+    expect(crawl.skipped).toEqual([
+      { path: '/away/', reason: 'redirects off-site to https://example.com/' },
+      { path: '/file.pdf', reason: 'not an HTML page (HTTP 200)' }
+    ]);
+  });
+});
+
+test.describe('compareCrawls', () => {
+  const link = (path, extra = {}) => ({ path, status: 200, chain: [], finalUrl: path, internal: true, problem: null, detail: null, ...extra });
+
+  test('problems only the candidate has are new, those of both are not', () => {
+    const production = { pages: { '/': [link('/old/', { status: 404, problem: 'broken', detail: 'HTTP 404' })] } };
+    const development = { pages: { '/': [
+      link('/old/', { status: 404, problem: 'broken', detail: 'HTTP 404' }),
+      link('https://test-revelcomm.pantheonsite.io/', { internal: false, problem: 'wrong-host', detail: 'x' })
+    ] } };
+    const comparison = compareCrawls(production, development);
+    expect(comparison.problemCount).toBe(2);
+    expect(comparison.newCount).toBe(1);
+    expect(comparison.counts).toEqual({ broken: 1, 'wrong-host': 1 });
+    expect(comparison.bySource[0].problems.map(problem => [problem.problem, problem.isNew])).toEqual([
+      ['broken', false],
+      ['wrong-host', true]
+    ]);
+  });
+
+  test('an internal link that works on the reference is missing in the candidate', () => {
+    const production = { pages: { '/': [link('/tour/')] } };
+    const development = { pages: { '/': [link('/tour/', { status: 404, problem: 'broken', detail: 'HTTP 404' })] } };
+    const [problem] = compareCrawls(production, development).bySource[0].problems;
+    expect(problem).toMatchObject({ problem: 'missing-in-candidate', detail: 'HTTP 404, 200 on the reference', isNew: true });
+  });
+
+  test('without a reference crawl every problem is new', () => {
+    const development = { pages: { '/': [link('/gone/', { status: 404, problem: 'broken', detail: 'HTTP 404' })] } };
+    expect(compareCrawls(null, development).newCount).toBe(1);
+  });
+});
@@ -0,0 +1,60 @@
+// @ts-check
+const { test, expect } = require('@playwright/test');
+const { resolveMaskRules } = require('../../lib/masks');
+const { componentIgnoreRegions } = require('../../lib/components');
+
+// Rules of masks.config.js that every page gets
+const GLOBAL_MASKS = ['iframe[src*="google.com/maps"]', 'iframe[src*="youtube.com"]', 'iframe[src*="vimeo.com"]'];
+
+test.describe('resolveMaskRules', () => {
+  test('global rules on every page', () => {
+    const rules = resolveMaskRules('/about/', 'desktop');
+    expect(rules.mask).toEqual(GLOBAL_MASKS);
+    expect(rules.freeze).toEqual(['.swiper', '.slick-slider', 'video']);
+    expect(rules.ignoreRegions).toEqual([]);
+  });
+
+  test('page patterns and suite rules added, selectors listed once', () => {
+    const rules = resolveMaskRules('/communities/eagle/', 'desktop', {
+      global: { hide: ['.chat-widget'] },
+      pages: { '/communities/**': { mask: ['.swiper', '.price'] }, '/blog/**': { mask: ['.date'] } }
+    });
+    expect(rules.hide).toEqual(['.chat-widget']);
+    expect(rules.mask).toEqual([...GLOBAL_MASKS, '.swiper', '.slick-slider', '.price']);
+  });
+
+  test('ignore regions limited to other devices dropped', () => {
+    const rules = resolveMaskRules('/', 'mobile', {
+      global: {
+        ignoreRegions: [
+          { x: 0, y: 0, width: 100, height: 50 },
+          { x: 0, y: 100, width: 100, height: 50, devices: ['mobile'] },
+          { x: 0, y: 200, width: 100, height: 50, devices: ['desktop'] }
+        ]
+      }
+    });
+    expect(rules.ignoreRegions).toEqual([
+      { x: 0, y: 0, width: 100, height: 50 },
+      { x: 0, y: 100, width: 100, height: 50 }
+    ]);
+  });
+
+  test('suite rules do not leak into the config', () => {
+    resolveMaskRules('/', 'desktop', { global: { hide: ['.once'] } });
+    expect(resolveMaskRules('/', 'desktop').hide).toEqual([]);
+  });
+});
+
+test.describe('componentIgnoreRegions', () => {
+  const box = { x: 100, y: 500, width: 400, height: 200 };
+
+  test('the part of a region on the component, in component coordinates', () => {
+    expect(componentIgnoreRegions([{ x: 0, y: 450, width: 200, height: 100 }], box))
+      .toEqual([{ x: 0, y: 0, width: 100, height: 50 }]);
+  });
+
+  test('regions beside the component left out', () => {
+    expect(componentIgnoreRegions([{ x: 0, y: 0, width: 800, height: 500 }, { x: 500, y: 500, width: 50, height: 50 }], box))
+      .toEqual([]);
+  });
+});
@@ -0,0 +1,36 @@
+// @ts-check
+const { test, expect } = require('@playwright/test');
+const { compareIssues, describeIssue } = require('../../lib/page-issues');
+
+const issue = (kind, message, url = null) => ({ kind, message, url });
+
+test.describe('compareIssues', () => {
+  test('the same issues on both environments', () => {
+    const issues = [issue('console-error', 'boom')];
+    const comparison = compareIssues(issues, issues);
+    expect(comparison.identical).toBe(true);
+    expect(comparison.sharedCount).toBe(1);
+  });
+
+  test('new, fixed and shared issues, counted per kind', () => {
+    const comparison = compareIssues(
+      [issue('console-error', 'shared'), issue('http-error', 'HTTP 404', '/old.js')],
+      [issue('console-error', 'shared'), issue('page-error', 'x is not defined'), issue('page-error', 'x is not defined')]
+    );
+    expect(comparison.identical).toBe(false);
+    expect(comparison.newCount).toBe(1);
+    expect(comparison.fixedCount).toBe(1);
+    expect(comparison.onlyInDevelopment).toEqual([{ ...issue('page-error', 'x is not defined'), count: 2 }]);
+    expect(comparison.onlyInProduction.map(describeIssue)).toEqual(['http-error: HTTP 404 (/old.js)']);
+    expect(comparison.developmentCounts).toMatchObject({ 'console-error': 1, 'page-error': 2, 'http-error': 0 });
+  });
+
+  test('unique issues in report order', () => {
+    const comparison = compareIssues([], [
+      issue('mixed-content', 'http://a/'),
+      issue('console-warning', 'deprecated'),
+      issue('page-error', 'boom')
+    ]);
+    expect(comparison.onlyInDevelopment.map(entry => entry.kind)).toEqual(['page-error', 'console-warning', 'mixed-content']);
+  });
+});
@@ -0,0 +1,67 @@
+// @ts-check
+const { test, expect } = require('@playwright/test');
+const { summarizeRuns, comparePerformance } = require('../../lib/performance');
+
+const run = (values = {}) => ({
+  ttfb: 200, domContentLoaded: 800, load: 1500, lcp: 1200, cls: 0.01, transferSize: 1000000, requestCount: 50,
+  largestResources: [],
+  ...values
+});
+
+test.describe('summarizeRuns', () => {
+  test('median of every metric, missing values left out', () => {
+    const summary = summarizeRuns([run({ ttfb: 100, lcp: null }), run({ ttfb: 300, lcp: null }), run({ ttfb: 250, lcp: null, cls: 0.012345 })]);
+    expect(summary.runs).toBe(3);
+    expect(summary.medians.ttfb).toBe(250);
+    expect(summary.medians.lcp).toBeNull();
+    expect(summary.medians.cls).toBe(0.01);
+  });
+
+  test('even number of runs', () => {
+    expect(summarizeRuns([run({ load: 1000 }), run({ load: 2001 })]).medians.load).toBe(1501);
+  });
+
+  test('largest resources merged over the runs with their median size', () => {
+    const resource = (url, size) => ({ url, type: 'image', size });
+    const summary = summarizeRuns([
+      run({ largestResources: [resource('/hero.jpg', 900000), resource('/app.js', 300000)] }),
+      run({ largestResources: [resource('/hero.jpg', 500000), resource('/app.js', 100000)] }),
+      run({ largestResources: [resource('/hero.jpg', 400000), resource('/font.woff2', 200000)] })
+    ]);
+    expect(summary.largestResources).toEqual([
+      resource('/hero.jpg', 500000),
+      resource('/app.js', 200000),
+      resource('/font.woff2', 200000)
+    ]);
+  });
+});
+
+test.describe('comparePerformance', () => {
+  const budgets = { load: 3000 };
+  const regressions = { ttfb: 50 };
+
+  test('within budgets and regression limits', () => {
+    const comparison = comparePerformance(summarizeRuns([run()]), summarizeRuns([run()]), { budgets, regressions });
+    expect(comparison.passed).toBe(true);
+    expect(comparison.metrics.ttfb).toMatchObject({ reference: 200, candidate: 200, changePercent: 0, regressed: false });
+  });
+
+  test('over budget and regressed', () => {
+    const comparison = comparePerformance(
+      summarizeRuns([run()]),
+      summarizeRuns([run({ ttfb: 400, load: 3500 })]),
+      { budgets, regressions }
+    );
+    expect(comparison.passed).toBe(false);
+    expect(comparison.violations).toEqual([
+      'TTFB is 100% above the reference (limit 50%)',
+      'Load 3500 ms is over the budget of 3000 ms'
+    ]);
+  });
+
+  test('without a reference only budgets are checked', () => {
+    const comparison = comparePerformance(null, summarizeRuns([run({ ttfb: 5000 })]), { budgets, regressions });
+    expect(comparison.passed).toBe(true);
+    expect(comparison.metrics.ttfb.changePercent).toBeNull();
+  });
+});
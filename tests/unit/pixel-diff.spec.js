@@ -0,0 +1,94 @@
+// @ts-check
+const { test, expect } = require('@playwright/test');
+const { PNG } = require('pngjs');
+const { compareScreenshots, paintIgnoredRegions, describeComparison } = require('../../lib/pixel-diff');
+
+// Solid image with optional rectangles painted in another color
+function image(width, height, { color = [255, 255, 255], boxes = [] } = {}) {
+  const png = new PNG({ width, height });
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const box = boxes.find(b => x >= b.x && x < b.x + b.width && y >= b.y && y < b.y + b.height);
+      const [r, g, b] = box ? box.color : color;
+      const i = (y * width + x) * 4;
+      png.data[i] = r;
+      png.data[i + 1] = g;
+      png.data[i + 2] = b;
+      png.data[i + 3] = 255;
+    }
+  }
+  return PNG.sync.write(png);
+}
+
+const red = [255, 0, 0];
+
+test.describe('compareScreenshots', () => {
+  test('identical screenshots', () => {
+    const comparison = compareScreenshots(image(100, 100), image(100, 100));
+    expect(comparison.identical).toBe(true);
+    expect(comparison.passed).toBe(true);
+    expect(comparison.diffPixels).toBe(0);
+    expect(comparison.changedRegions).toEqual([]);
+    expect(describeComparison(comparison)).toBe('identical');
+  });
+
+  test('changed area becomes a region on the 32px grid', () => {
+    const comparison = compareScreenshots(
+      image(200, 200),
+      image(200, 200, { boxes: [{ x: 40, y: 70, width: 20, height: 10, color: red }] })
+    );
+    expect(comparison.identical).toBe(false);
+    expect(comparison.diffPixels).toBe(200);
+    expect(comparison.mismatchPercentage).toBe(0.5);
+    expect(comparison.passed).toBe(false);
+    expect(comparison.changedRegions).toEqual([{ x: 32, y: 64, width: 32, height: 32 }]);
+  });
+
+  test('separate changes become separate regions', () => {
+    const comparison = compareScreenshots(
+      image(200, 200),
+      image(200, 200, { boxes: [
+        { x: 0, y: 0, width: 10, height: 10, color: red },
+        { x: 150, y: 150, width: 10, height: 10, color: red }
+      ] })
+    );
+    expect(comparison.changedRegions).toHaveLength(2);
+  });
+
+  test('a change within the tolerance passes', () => {
+    const comparison = compareScreenshots(
+      image(100, 100),
+      image(100, 100, { boxes: [{ x: 0, y: 0, width: 1, height: 1, color: red }] }),
+      { tolerance: 1 }
+    );
+    expect(comparison.identical).toBe(false);
+    expect(comparison.passed).toBe(true);
+    expect(describeComparison(comparison)).toBe('within tolerance');
+  });
+
+  test('ignore regions leave changes out', () => {
+    const changed = image(100, 100, { boxes: [{ x: 10, y: 10, width: 20, height: 20, color: red }] });
+    const comparison = compareScreenshots(image(100, 100), changed, {
+      ignoreRegions: [{ x: 0, y: 0, width: 50, height: 50 }]
+    });
+    expect(comparison.identical).toBe(true);
+    expect(comparison.ignoredPixels).toBe(2500);
+  });
+
+  test('screenshots of different heights count the extra area as changed', () => {
+    const comparison = compareScreenshots(image(100, 100), image(100, 150));
+    expect(comparison.sizeMismatch).toBe(true);
+    expect(comparison.productionSize).toEqual({ width: 100, height: 100 });
+    expect(comparison.developmentSize).toEqual({ width: 100, height: 150 });
+    expect(comparison.diffPixels).toBe(5000);
+  });
+});
+
+test.describe('paintIgnoredRegions', () => {
+  test('painted screenshots compare equal in the painted area', () => {
+    const regions = [{ x: 10, y: 10, width: 20, height: 20 }];
+    const changed = image(100, 100, { boxes: [{ x: 10, y: 10, width: 20, height: 20, color: red }] });
+    const comparison = compareScreenshots(paintIgnoredRegions(image(100, 100), regions), paintIgnoredRegions(changed, regions));
+    expect(comparison.identical).toBe(true);
+  });
+});
@@ -0,0 +1,140 @@
+// @ts-check
+const { test, expect } = require('@playwright/test');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { parseCsv, readRedirectMap, rewriteTarget, checkRedirect } = require('../../lib/redirects');
+const { stubResponses } = require('./stub-axios');
+
+const CANDIDATE = 'https://dev-revelcomm.pantheonsite.io';
+
+test.describe('parseCsv', () => {
+  test('rows of trimmed fields, comments and blank lines left out', () => {
+    expect(parseCsv('from,to\n# old blog\n\n/a/ , /b/\r\n/c/,/d/,302')).toEqual([
+      ['from', 'to'],
+      ['/a/', '/b/'],
+      ['/c/', '/d/', '302']
+    ]);
+  });
+
+  test('quoted fields with commas and quotes', () => {
+    expect(parseCsv('"/a,b/","say ""hi"""')).toEqual([['/a,b/', 'say "hi"']]);
+  });
+});
+
+test.describe('readRedirectMap', () => {
+  let dir;
+  test.beforeAll(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'redirect-map-'));
+  });
+  test.afterAll(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  test('CSV with defaults for status and hops', async () => {
+    const file = path.join(dir, 'map.csv');
+    await fs.writeFile(file, 'From,To,Status\n/old/,/new/,\n/temp/,/later/,302\n');
+    expect(await readRedirectMap(file)).toEqual([
+      { from: '/old/', to: '/new/', status: 301, hops: 1 },
+      { from: '/temp/', to: '/later/', status: 302, hops: 1 }
+    ]);
+  });
+
+  test('JSON', async () => {
+    const file = path.join(dir, 'map.json');
+    await fs.writeFile(file, JSON.stringify([{ from: '/old/', to: '/new/', hops: 2 }]));
+    expect(await readRedirectMap(file)).toEqual([{ from: '/old/', to: '/new/', status: 301, hops: 2 }]);
+  });
+
+  test('a CSV without from and to columns is rejected', async () => {
+    const file = path.join(dir, 'broken.csv');
+    await fs.writeFile(file, 'source,target\n/a/,/b/\n');
+    await expect(readRedirectMap(file)).rejects.toThrow('needs a header row with "from" and "to" columns');
+  });
+});
+
+test.describe('rewriteTarget', () => {
+  test('paths are resolved against the checked environment', () => {
+    expect(rewriteTarget('/communities/eagle/', CANDIDATE)).toBe(`${CANDIDATE}/communities/eagle/`);
+  });
+
+  test('URLs on an environment host, apex or www, move to the checked environment', () => {
+    expect(rewriteTarget('https://revelcommunities.com/a/', CANDIDATE)).toBe(`${CANDIDATE}/a/`);
+    expect(rewriteTarget('https://www.revelcommunities.com/a/?b=1', CANDIDATE)).toBe(`${CANDIDATE}/a/?b=1`);
+    expect(rewriteTarget('https://test-revelcomm.pantheonsite.io/a/', CANDIDATE)).toBe(`${CANDIDATE}/a/`);
+  });
+
+  test('other sites are kept', () => {
+    expect(rewriteTarget('https://example.com/a/', CANDIDATE)).toBe('https://example.com/a/');
+  });
+});
+
+test.describe('checkRedirect', () => {
+  let restore;
+  test.afterEach(() => restore());
+
+  test('a single 301 to the expected page passes', async () => {
+    restore = stubResponses({
+      [`${CANDIDATE}/old/`]: { status: 301, location: '/new/' },
+      [`${CANDIDATE}/new/`]: { status: 200 }
+    });
+    const result = await checkRedirect({ from: '/old/', to: '/new/', status: 301, hops: 1 }, CANDIDATE);
+    expect(result.failures).toEqual([]);
+    expect(result.passed).toBe(true);
+    expect(result.hopCount).toBe(1);
+  });
+
+  test('wrong status, too many hops and the wrong destination are all reported', async () => {
+    restore = stubResponses({
+      [`${CANDIDATE}/old/`]: { status: 302, location: '/between/' },
+      [`${CANDIDATE}/between/`]: { status: 301, location: '/elsewhere/' },
+      [`${CANDIDATE}/elsewhere/`]: { status: 200 }
+    });
+    const result = await checkRedirect({ from: '/old/', to: '/new/', status: 301, hops: 1 }, CANDIDATE);
+    expect(result.passed).toBe(false);
+    expect(result.expectedStatus).toBe(301);
+    expect(result.status).toBe(302);
+    expect(result.failures).toEqual([
+      'status 302 instead of 301',
+      '2 hops instead of at most 1',
+      `ends on ${CANDIDATE}/elsewhere/`
+    ]);
+  });
+
+  test('a destination that answers an error fails', async () => {
+    restore = stubResponses({ [`${CANDIDATE}/old/`]: { status: 301, location: '/new/' } });
+    const result = await checkRedirect({ from: '/old/', to: '/new/', status: 301, hops: 1 }, CANDIDATE);
+    expect(result.failures).toEqual(['destination answers 404']);
+  });
+
+  test('a loop fails', async () => {
+    restore = stubResponses({
+      [`${CANDIDATE}/a/`]: { status: 301, location: '/b/' },
+      [`${CANDIDATE}/b/`]: { status: 301, location: '/a/' }
+    });
+    const result = await checkRedirect({ from: '/a/', to: '/b/', status: 301, hops: 1 }, CANDIDATE);
+    expect(result.failures).toContain('redirect loop');
+  });
+
+  test('ending on the www host of an apex base URL counts as the expected page', async () => {
+    restore = stubResponses({
+      'https://revelcommunities.com/old/': { status: 301, location: 'https://www.revelcommunities.com/new/' },
+      'https://www.revelcommunities.com/new/': { status: 200 }
+    });
+    const result = await checkRedirect({ from: '/old/', to: '/new/', status: 301, hops: 1 }, 'https://revelcommunities.com');
+    expect(result.failures).toEqual([]);
+  });
+
+  test("the site's apex to www redirect before the entry's is not counted", async () => {
+    restore = stubResponses({
+      'https://revelcommunities.com/old/': { status: 308, location: 'https://www.revelcommunities.com/old/' },
+      'https://www.revelcommunities.com/old/': { status: 301, location: '/new/' },
+      'https://www.revelcommunities.com/new/': { status: 200 }
+    });
+    const result = await checkRedirect({ from: '/old/', to: '/new/', status: 301, hops: 1 }, 'https://revelcommunities.com');
+    expect(result.failures).toEqual([]);
+    expect(result.status).toBe(301);
+    expect(result.hopCount).toBe(1);
+    expect(result.chain).toHaveLength(3);
+  });
+});
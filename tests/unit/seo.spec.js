@@ -0,0 +1,85 @@
+// @ts-check
+const { test, expect } = require('@playwright/test');
+const { flattenMetadata, findRisks, compareSeo } = require('../../lib/seo');
+const { resolveEnvironment } = require('../../lib/environments');
+
+const environments = { reference: resolveEnvironment('live'), candidate: resolveEnvironment('dev') };
+
+// Metadata as readMetadata() returns it for a page of an environment
+function metadata(baseUrl, overrides = {}) {
+  return {
+    url: `${baseUrl}/communities/eagle/`,
+    xRobotsTag: null,
+    title: 'Eagle | Revel Communities',
+    description: 'Homes in Eagle',
+    canonicals: [`${baseUrl}/communities/eagle/`],
+    robots: 'index, follow',
+    properties: { 'og:title': 'Eagle', 'og:url': `${baseUrl}/communities/eagle/`, 'og:updated_time': '2024-01-01' },
+    jsonLd: [{ data: { '@graph': [{ '@type': 'Organization' }, { '@type': 'WebPage' }] }, source: '{}' }],
+    hreflang: [],
+    ...overrides
+  };
+}
+
+const LIVE = 'https://revelcommunities.com';
+const DEV = 'https://dev-revelcomm.pantheonsite.io';
+
+test.describe('flattenMetadata', () => {
+  test('own origin removed, ignored fields left out, JSON-LD types listed', () => {
+    const fields = flattenMetadata(metadata(DEV));
+    expect(fields.canonical).toBe('/communities/eagle/');
+    expect(fields['og:url']).toBe('/communities/eagle/');
+    expect(fields['og:updated_time']).toBeUndefined();
+    expect(fields['json-ld']).toBe('Organization, WebPage');
+  });
+});
+
+test.describe('findRisks', () => {
+  test('clean production page', () => {
+    expect(findRisks(metadata(LIVE), environments.reference)).toEqual([]);
+  });
+
+  test('noindex, a platform canonical and several canonicals on production', () => {
+    const risks = findRisks(metadata(LIVE, {
+      robots: 'noindex',
+      canonicals: [`${DEV}/communities/eagle/`, `${LIVE}/communities/eagle/`]
+    }), environments.reference);
+    expect(risks.map(risk => risk.risk)).toEqual(['noindex', 'multiple-canonicals', 'platform-canonical']);
+  });
+
+  test("a platform environment's own host is fine, X-Robots-Tag on it too", () => {
+    expect(findRisks(metadata(DEV, { xRobotsTag: 'noindex' }), environments.candidate)).toEqual([]);
+  });
+
+  test('another platform host, http canonicals and broken JSON-LD', () => {
+    const risks = findRisks(metadata(DEV, {
+      canonicals: ['http://dev-revelcomm.pantheonsite.io/communities/eagle/'],
+      properties: { 'og:url': 'https://test-revelcomm.pantheonsite.io/communities/eagle/' },
+      jsonLd: [{ error: 'Unexpected token', source: '{' }]
+    }), environments.candidate);
+    expect(risks.map(risk => risk.risk)).toEqual(['insecure-canonical', 'platform-og-url', 'invalid-json-ld']);
+  });
+});
+
+test.describe('compareSeo', () => {
+  test('the same metadata on both environments', () => {
+    const comparison = compareSeo(metadata(LIVE), metadata(DEV), { environments });
+    expect(comparison.identical).toBe(true);
+    expect(comparison.newRisks).toEqual([]);
+  });
+
+  test('changed fields and dropped key fields', () => {
+    const comparison = compareSeo(metadata(LIVE), metadata(DEV, { title: 'Eagle', description: null }), { environments });
+    expect(comparison.differences).toEqual([
+      { field: 'title', production: 'Eagle | Revel Communities', development: 'Eagle' },
+      { field: 'description', production: 'Homes in Eagle', development: null }
+    ]);
+    expect(comparison.newRisks).toEqual([{ risk: 'dropped', detail: 'description' }]);
+  });
+
+  test('risks the reference has as well are not new', () => {
+    const comparison = compareSeo(metadata(LIVE, { robots: 'noindex' }), metadata(DEV, { robots: 'noindex' }), { environments });
+    expect(comparison.developmentRisks).toHaveLength(1);
+    expect(comparison.newRisks).toEqual([]);
+  });
+});
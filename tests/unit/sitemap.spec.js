@@ -0,0 +1,52 @@
+// @ts-check
+const { test, expect } = require('@playwright/test');
+const { patternToRegExp, filterPages, diffSitemaps, toPagePath } = require('../../lib/sitemap');
+
+test.describe('patternToRegExp', () => {
+  test('`*` matches within one path segment', () => {
+    const pattern = patternToRegExp('/communities/*/');
+    expect(pattern.test('/communities/eagle/')).toBe(true);
+    expect(pattern.test('/communities/')).toBe(false);
+    expect(pattern.test('/communities/eagle/floor-plans/')).toBe(false);
+  });
+
+  test('`**` matches across segments', () => {
+    const pattern = patternToRegExp('/blog/**');
+    expect(pattern.test('/blog/')).toBe(true);
+    expect(pattern.test('/blog/2024/05/news/')).toBe(true);
+    expect(pattern.test('/blogroll/')).toBe(false);
+  });
+
+  test('other characters match literally', () => {
+    const pattern = patternToRegExp('/search/?q=a.b');
+    expect(pattern.test('/search/?q=a.b')).toBe(true);
+    expect(pattern.test('/search/xq=aXb')).toBe(false);
+  });
+});
+
+test.describe('filterPages', () => {
+  const pages = ['/', '/communities/', '/communities/eagle/', '/communities/eagle/floor-plans/', '/blog/news/'];
+
+  test('no filters keep every page', () => {
+    expect(filterPages(pages)).toEqual(pages);
+  });
+
+  test('include, then exclude, then cap', () => {
+    expect(filterPages(pages, { include: ['/communities/**'] })).toEqual(pages.slice(1, 4));
+    expect(filterPages(pages, { include: ['/communities/**'], exclude: ['/communities/*/floor-plans/'] }))
+      .toEqual(['/communities/', '/communities/eagle/']);
+    expect(filterPages(pages, { exclude: ['/blog/**'], maxPages: 2 })).toEqual(['/', '/communities/']);
+  });
+});
+
+test.describe('diffSitemaps', () => {
+  test('paths found in only one sitemap', () => {
+    expect(diffSitemaps(['/', '/old/'], ['/', '/new/'])).toEqual({ onlyInProduction: ['/old/'], onlyInDevelopment: ['/new/'] });
+  });
+});
+
+test.describe('toPagePath', () => {
+  test('path and query of a sitemap URL', () => {
+    expect(toPagePath('https://revelcommunities.com/communities/eagle/?tab=homes')).toBe('/communities/eagle/?tab=homes');
+  });
+});
@@ -0,0 +1,22 @@
+// @ts-check
+const axios = require('axios');
+
+// Answer axios.get() from a table of URL → { status, location?, html? } instead of the network.
+// Unknown URLs answer 404. Returns a function that restores axios.get().
+function stubResponses(responses) {
+  const original = axios.get;
+  axios.get = /** @type {any} */ (async url => {
+    const response = responses[url] || { status: 404 };
+    return {
+      status: response.status,
+      headers: {
+        ...(response.location ? { location: response.location } : {}),
+        'content-type': response.contentType || 'text/html'
+      },
+      data: response.html || ''
+    };
+  });
+  return () => { axios.get = original; };
+}
+
+module.exports = { stubResponses };